@@ -13,7 +13,11 @@ const App = (() => {
     CLICK_THRESHOLD_DEGREES: 0.002,  // ~200m
     MIN_BBOX_MOVE_THRESHOLD: 0.005,  // ~500m center movement triggers update (H02)
     BBOX_SIZE_CHANGE_THRESHOLD: 0.15, // 15% size change triggers update (H02)
-    TOAST_DURATION_MS: 5000
+    TOAST_DURATION_MS: 5000,
+    CUSTOM_TYPES_STORAGE_KEY: 'topography-care-custom-types',
+    COLOR_SCALE_STORAGE_KEY: 'topography-care-color-scale',
+    PALETTE_STORAGE_KEY: 'topography-care-palette',
+    QUALITY_STORAGE_KEY: 'topography-care-quality'
   };
 
   // SafeStorage wrapper for localStorage (M02)
@@ -47,22 +51,24 @@ const App = (() => {
     filteredResources: [],
     contours: null,
     isLoading: false,
-    lastBbox: null,
+    lastBbox: null,       // View bbox of the last fetch (H02 change detection)
+    lastFetchBbox: null,  // The same view padded by the kernel margin, as fetched
+    historyBbox: null,    // View bbox of the current browser history entry
     selectedResource: null,
-    filters: {
-      hospital: true,
-      clinic: true,
-      library: true,
-      social: true,
-      pharmacy: true,
-      community: true,
-      kindergarten: true
-    }
+    valleys: [],
+    selectedValley: null,
+    // Bounds / grid / field / stats of the last rendered contours (for export and calibration)
+    lastRender: null,
+    // Type id -> visible (all types from ResourceTypeModule start enabled)
+    filters: Object.fromEntries(ResourceTypeModule.ids().map(id => [id, true]))
   };
 
   // Debounce timer for map movements
   let updateTimer = null;
 
+  // Set while a view from the URL is applied, so it is not pushed back
+  let restoringView = false;
+
   /**
    * Initialize the application
    */
@@ -72,11 +78,37 @@ const App = (() => {
     // Initialize modules
     const map = MapModule.init();
     RendererModule.init();
+    LegendModule.init();
+
+    // Data sources: live Overpass (default) plus local files
+    DataSourceModule.init();
+    DataSourceModule.register(FileSourceModule.getProvider());
+
+    // User-defined resource types (before the type list is rendered)
+    restoreCustomTypes();
+
+    // Link defaults are the built-in settings, taken before this browser's
+    // preferences are restored, so links carry those preferences along
+    UrlStateModule.init(captureViewState());
+
+    // Calibrated absolute color scales, the chosen palette and grid quality
+    restoreColorScale();
+    restorePalette();
+    restoreQuality();
 
     // Setup event listeners
     setupEventListeners();
 
+    // Shared link: restore the view from the URL hash
+    const sharedView = UrlStateModule.read();
+    if (sharedView) applyViewState(sharedView, false);
+    state.historyBbox = MapModule.getBboxString();
+    window.addEventListener('hashchange', () => {
+      applyViewState(UrlStateModule.read() || UrlStateModule.getDefaults(), true);
+    });
+
     // Initial data fetch
+    syncFilledBands();
     await fetchAndRender();
 
     console.log('[App] Initialization complete');
@@ -87,27 +119,44 @@ const App = (() => {
    */
   function setupEventListeners() {
     // Map events (debounced)
+    // A new view makes any in-flight contour job obsolete; force the
+    // next fetchAndRender to redraw even if the view barely moved
     document.addEventListener('map:moveend', () => {
+      // A move that would trigger a new fetch (H02) is a new view with its
+      // own history entry; smaller pans update the current entry
+      const viewBbox = MapModule.getBboxString();
+      const newView = isBboxSignificantlyDifferent(viewBbox, state.historyBbox);
+      if (newView) state.historyBbox = viewBbox;
+      updateUrl({ replace: !newView });
+      if (ContourModule.cancel()) state.lastBbox = null;
       clearTimeout(updateTimer);
       updateTimer = setTimeout(fetchAndRender, CONFIG.UPDATE_DEBOUNCE_MS);
     });
 
     document.addEventListener('map:zoomend', () => {
+      if (ContourModule.cancel()) state.lastBbox = null;
       clearTimeout(updateTimer);
       updateTimer = setTimeout(fetchAndRender, CONFIG.UPDATE_DEBOUNCE_MS);
     });
 
-    // Renderer resize event
-    document.addEventListener('renderer:resize', () => {
-      if (state.filteredResources.length > 0) {
-        renderContours();
+    // Background cache revalidation delivered newer data for the current view
+    document.addEventListener('overpass:revalidated', handleRevalidated);
+
+    // Filter checkboxes (generated list, delegated)
+    renderTypeList();
+    document.getElementById('type-list')?.addEventListener('change', (e) => {
+      if (e.target.matches('.resource-filter')) {
+        handleFilterChange(e);
       }
     });
-
-    // Filter checkboxes
-    document.querySelectorAll('.resource-filter').forEach(checkbox => {
-      checkbox.addEventListener('change', handleFilterChange);
+    document.getElementById('type-list')?.addEventListener('click', (e) => {
+      const button = e.target.closest('.custom-type-remove');
+      if (button) {
+        e.preventDefault();
+        handleRemoveCustomType(button.dataset.type);
+      }
     });
+    document.getElementById('custom-type-form')?.addEventListener('submit', handleAddCustomType);
 
     // Theme toggle button
     const themeToggle = document.getElementById('theme-toggle');
@@ -118,16 +167,944 @@ const App = (() => {
     // Theme change event (update UI)
     document.addEventListener('map:themechange', (e) => {
       updateUITheme(e.detail.theme);
+      updatePalettePreview();  // Built-in palettes have per-theme stops
+      updateUrl();
     });
 
     // Map click for selecting resources
     const map = MapModule.getMap();
     map.on('click', handleMapClick);
 
+    // Setup data source selector and file loading
+    setupDataSource();
+
+    // Setup analysis model selectors and population loading
+    setupAnalysis();
+
+    // Setup color palette selector and editor
+    setupPalette();
+
+    // Export menu
+    document.getElementById('export-menu')?.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-export]');
+      if (button) handleExport(button.dataset.export);
+    });
+
+    // Poster export
+    document.getElementById('poster-menu')?.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-poster]');
+      if (button) handlePosterExport(button.dataset.poster);
+    });
+
+    // Valley list (generated, delegated)
+    document.getElementById('valley-list')?.addEventListener('click', (e) => {
+      const item = e.target.closest('.valley-item');
+      const valley = item && state.valleys.find(v => v.rank === Number(item.dataset.rank));
+      if (valley) selectValley(valley);
+    });
+
     // Setup guide modal
     setupGuideModal();
   }
 
+  // =====================================================
+  // URL State
+  // =====================================================
+
+  /**
+   * Describe the current view for UrlStateModule
+   * @returns {Object} {center, zoom, theme, disabled, mode, decay, levels, scale, scaleMax, style,
+   *   relief, azimuth, altitude, palette, paletteStops, quality}
+   */
+  function captureViewState() {
+    const map = MapModule.getMap();
+    const center = map.getCenter();
+    const config = ContourModule.getConfig();
+    const palette = RendererModule.getConfig().palette;
+
+    return {
+      center: { lat: center.lat, lng: center.lng },
+      zoom: map.getZoom(),
+      theme: MapModule.getTheme(),
+      disabled: Object.keys(state.filters).filter(id => !state.filters[id]),
+      mode: config.mode,
+      decay: config.decay,
+      levels: config.contourLevels,
+      scale: config.scale,
+      scaleMax: config.absoluteMax[config.mode],
+      style: RendererModule.getConfig().style,
+      relief: RendererModule.getConfig().relief,
+      azimuth: config.hillshadeAzimuth,
+      altitude: config.hillshadeAltitude,
+      palette,
+      paletteStops: palette === 'custom' ? RendererModule.getCustomPalette() : null,
+      quality: config.quality
+    };
+  }
+
+  /**
+   * Write the current view to the URL hash
+   * @param {Object} [options] - {replace} (see UrlStateModule.write)
+   */
+  function updateUrl(options) {
+    if (restoringView) return;
+    UrlStateModule.write(captureViewState(), options);
+  }
+
+  /**
+   * Apply a view from the URL
+   * @param {Object} view - From UrlStateModule.read()
+   * @param {boolean} render - Re-render now (false during init, which fetches anyway)
+   */
+  function applyViewState(view, render) {
+    restoringView = true;
+
+    try {
+      // Filters: everything on except the listed types (unknown ids, e.g.
+      // another user's custom types, are kept so the link round-trips)
+      Object.keys(state.filters).forEach(id => {
+        state.filters[id] = !view.disabled.includes(id);
+      });
+      view.disabled.forEach(id => {
+        state.filters[id] = false;
+      });
+      renderTypeList();
+
+      // Contour parameters
+      const config = ContourModule.getConfig();
+      ContourModule.updateConfig({
+        mode: view.mode,
+        decay: view.decay,
+        contourLevels: view.levels,
+        scale: view.scale,
+        // A shared absolute scale is used for this session only (not persisted)
+        absoluteMax: view.scaleMax ? { ...config.absoluteMax, [view.mode]: view.scaleMax } : config.absoluteMax
+      });
+      const modeSelect = document.getElementById('mode-select');
+      const decaySelect = document.getElementById('decay-select');
+      const scaleSelect = document.getElementById('scale-select');
+      if (modeSelect) modeSelect.value = view.mode;
+      if (decaySelect) decaySelect.value = view.decay;
+      if (scaleSelect) scaleSelect.value = view.scale;
+      updateScaleSummary();
+
+      RendererModule.updateConfig({ style: view.style, relief: view.relief });
+      syncFilledBands();
+      ContourModule.updateConfig({
+        hillshadeAzimuth: view.azimuth,
+        hillshadeAltitude: view.altitude,
+        quality: view.quality  // Like a shared scale, not persisted
+      });
+      const styleSelect = document.getElementById('style-select');
+      const reliefSelect = document.getElementById('relief-select');
+      const reliefAzimuth = document.getElementById('relief-azimuth');
+      const reliefAltitude = document.getElementById('relief-altitude');
+      if (styleSelect) styleSelect.value = view.style;
+      if (reliefSelect) reliefSelect.value = view.relief;
+      if (reliefAzimuth) reliefAzimuth.value = view.azimuth;
+      if (reliefAltitude) reliefAltitude.value = view.altitude;
+      updateReliefControls();
+      const qualityRange = document.getElementById('quality-range');
+      if (qualityRange) qualityRange.value = view.quality;
+
+      // Palette: a shared custom palette is used for this session only
+      // (saved only if the user edits it further)
+      if (view.palette !== 'custom' || RendererModule.setCustomPalette(view.paletteStops)) {
+        RendererModule.setPalette(view.palette);
+      }
+      renderPaletteOptions();
+      paletteChanged();
+
+      // Theme (re-renders through map:themechange)
+      MapModule.switchTheme(view.theme);
+
+      // View: moveend fetches and renders the new area
+      MapModule.getMap().setView([view.center.lat, view.center.lng], view.zoom, { animate: false });
+      state.historyBbox = MapModule.getBboxString();
+    } finally {
+      restoringView = false;
+    }
+
+    if (render) {
+      applyFilters();
+      updateResourceCounts();
+      renderContours();
+    }
+  }
+
+  // =====================================================
+  // Custom Resource Types
+  // =====================================================
+
+  /**
+   * Load persisted custom types into ResourceTypeModule
+   */
+  function restoreCustomTypes() {
+    const saved = SafeStorage.getItem(CONFIG.CUSTOM_TYPES_STORAGE_KEY);
+    if (!saved) return;
+
+    try {
+      const count = ResourceTypeModule.loadCustom(JSON.parse(saved));
+      ResourceTypeModule.ids().forEach(id => {
+        if (!(id in state.filters)) state.filters[id] = true;
+      });
+      console.log(`[App] Restored ${count} custom resource types`);
+    } catch (e) {
+      console.warn('[App] Ignoring unreadable custom types:', e.message);
+    }
+  }
+
+  /**
+   * Persist custom types (sigma in meters)
+   */
+  function saveCustomTypes() {
+    SafeStorage.setItem(
+      CONFIG.CUSTOM_TYPES_STORAGE_KEY,
+      JSON.stringify(ResourceTypeModule.getCustom())
+    );
+  }
+
+  /**
+   * Handle custom type form submission
+   * @param {SubmitEvent} event
+   */
+  function handleAddCustomType(event) {
+    event.preventDefault();
+    const form = event.target;
+    const data = new FormData(form);
+
+    let type;
+    try {
+      type = ResourceTypeModule.addCustom({
+        label: data.get('label'),
+        selector: data.get('selector'),
+        sigma: Number(data.get('radius')),
+        amplitude: Number(data.get('amplitude')),
+        color: data.get('color')
+      });
+    } catch (e) {
+      showMessage(e.message, 'error');
+      return;
+    }
+
+    state.filters[type.id] = true;
+    saveCustomTypes();
+    renderTypeList();
+    form.reset();
+
+    showMessage(`已新增「${type.label}」（${type.selectorText}）`, 'success');
+    refresh();
+  }
+
+  /**
+   * Remove a custom type
+   * @param {string} id
+   */
+  function handleRemoveCustomType(id) {
+    if (!ResourceTypeModule.removeCustom(id)) return;
+
+    delete state.filters[id];
+    saveCustomTypes();
+    renderTypeList();
+    updateUrl();
+    refresh();
+  }
+
+  // =====================================================
+  // Data Source
+  // =====================================================
+
+  /**
+   * Setup data source selector, file picker and drag-and-drop
+   */
+  function setupDataSource() {
+    const select = document.getElementById('source-select');
+    const openBtn = document.getElementById('file-open');
+    const fileInput = document.getElementById('file-input');
+    const fileClear = document.getElementById('file-clear');
+    const overlay = document.getElementById('drop-overlay');
+
+    if (select) {
+      select.innerHTML = DataSourceModule.list()
+        .map(({ id, label }) => `<option value="${escapeHtml(id)}">${escapeHtml(label)}</option>`)
+        .join('');
+      select.value = DataSourceModule.getActive()?.id;
+      select.addEventListener('change', () => DataSourceModule.setActive(select.value));
+    }
+
+    openBtn?.addEventListener('click', () => fileInput?.click());
+
+    fileInput?.addEventListener('change', () => {
+      if (fileInput.files.length > 0) {
+        handleFiles(fileInput.files);
+      }
+      fileInput.value = '';  // Allow re-selecting the same file
+    });
+
+    // Unload all files; the file source has nothing left, so go back online
+    fileClear?.addEventListener('click', () => {
+      FileSourceModule.clear();
+      updateFileSummary();
+      if (DataSourceModule.getActive()?.id !== 'file' || !DataSourceModule.setActive('overpass')) {
+        refresh();
+      }
+    });
+
+    // Drag-and-drop anywhere on the window
+    let dragDepth = 0;
+    const hasFiles = (e) => Array.from(e.dataTransfer?.types || []).includes('Files');
+
+    window.addEventListener('dragenter', (e) => {
+      if (!hasFiles(e)) return;
+      e.preventDefault();
+      dragDepth++;
+      overlay?.classList.remove('hidden');
+    });
+
+    window.addEventListener('dragover', (e) => {
+      if (hasFiles(e)) e.preventDefault();
+    });
+
+    window.addEventListener('dragleave', (e) => {
+      if (!hasFiles(e)) return;
+      dragDepth = Math.max(0, dragDepth - 1);
+      if (dragDepth === 0) overlay?.classList.add('hidden');
+    });
+
+    window.addEventListener('drop', (e) => {
+      if (!hasFiles(e)) return;
+      e.preventDefault();
+      dragDepth = 0;
+      overlay?.classList.add('hidden');
+      handleFiles(e.dataTransfer.files);
+    });
+
+    // Government registries (merged into whichever source is active)
+    const registryOpen = document.getElementById('registry-open');
+    const registryInput = document.getElementById('registry-input');
+    const registryClear = document.getElementById('registry-clear');
+    const registryGeocode = document.getElementById('registry-geocode');
+
+    registryOpen?.addEventListener('click', () => registryInput?.click());
+
+    registryInput?.addEventListener('change', () => {
+      if (registryInput.files.length > 0) {
+        handleRegistryFiles(registryInput.files);
+      }
+      registryInput.value = '';
+    });
+
+    registryClear?.addEventListener('click', () => {
+      RegistryModule.clear();
+      updateRegistrySummary();
+    });
+
+    registryGeocode?.addEventListener('click', handleRegistryGeocode);
+
+    // Source switched (selector, file load or registry import): re-fetch for the current view
+    document.addEventListener('datasource:change', (e) => {
+      if (select) select.value = e.detail.id;
+      refresh();
+    });
+  }
+
+  // =====================================================
+  // Analysis Model
+  // =====================================================
+
+  /**
+   * Setup field model / decay selectors and population file loading
+   */
+  function setupAnalysis() {
+    const modeSelect = document.getElementById('mode-select');
+    const decaySelect = document.getElementById('decay-select');
+    const scaleSelect = document.getElementById('scale-select');
+    const styleSelect = document.getElementById('style-select');
+    const reliefSelect = document.getElementById('relief-select');
+    const reliefAzimuth = document.getElementById('relief-azimuth');
+    const reliefAltitude = document.getElementById('relief-altitude');
+    const qualityRange = document.getElementById('quality-range');
+    const populationOpen = document.getElementById('population-open');
+    const populationInput = document.getElementById('population-input');
+    const populationClear = document.getElementById('population-clear');
+    const config = ContourModule.getConfig();
+
+    if (modeSelect) modeSelect.value = config.mode;
+    if (decaySelect) decaySelect.value = config.decay;
+    if (scaleSelect) scaleSelect.value = config.scale;
+    if (styleSelect) styleSelect.value = RendererModule.getConfig().style;
+    if (reliefSelect) reliefSelect.value = RendererModule.getConfig().relief;
+    if (reliefAzimuth) reliefAzimuth.value = config.hillshadeAzimuth;
+    if (reliefAltitude) reliefAltitude.value = config.hillshadeAltitude;
+    if (qualityRange) qualityRange.value = config.quality;
+    updateScaleSummary();
+    updateReliefControls();
+
+    // Recompute once the slider is released, not on every step
+    qualityRange?.addEventListener('change', handleQualityChange);
+
+    modeSelect?.addEventListener('change', () => {
+      ContourModule.updateConfig({ mode: modeSelect.value });
+      updateScaleSummary();
+      updateUrl();
+      if (!PopulationModule.hasData()) {
+        if (modeSelect.value === '2sfca') {
+          showMessage('尚未載入人口資料，2SFCA 暫以均勻人口估算', 'info');
+        } else if (modeSelect.value === 'deficit') {
+          showMessage('照護缺口需要人口資料，請先載入人口檔案', 'info');
+        }
+      }
+      renderContours();
+    });
+
+    decaySelect?.addEventListener('change', () => {
+      ContourModule.updateConfig({ decay: decaySelect.value });
+      updateUrl();
+      renderContours();
+    });
+
+    scaleSelect?.addEventListener('change', () => {
+      ContourModule.updateConfig({ scale: scaleSelect.value });
+      updateScaleSummary();
+      updateUrl();
+      renderContours();
+    });
+
+    document.getElementById('scale-calibrate')?.addEventListener('click', handleCalibrateScale);
+
+    // Rendering style only changes how the same contours are drawn, unless
+    // switching between outlines and filled bands changes their refinement
+    styleSelect?.addEventListener('change', () => {
+      RendererModule.updateConfig({ style: styleSelect.value });
+      if (syncFilledBands()) {
+        renderContours();
+      } else {
+        RendererModule.render(state.contours);
+      }
+      updateUrl();
+    });
+
+    // Hillshade is recomputed from the last field, without a new contour run
+    reliefSelect?.addEventListener('change', () => {
+      RendererModule.updateConfig({ relief: reliefSelect.value });
+      updateReliefControls();
+      updateRelief();
+      updateUrl();
+    });
+
+    [reliefAzimuth, reliefAltitude].forEach(input => {
+      input?.addEventListener('input', () => {
+        ContourModule.updateConfig({
+          hillshadeAzimuth: Number(reliefAzimuth.value),
+          hillshadeAltitude: Number(reliefAltitude.value)
+        });
+        updateRelief();
+      });
+      input?.addEventListener('change', () => updateUrl());
+    });
+
+    populationOpen?.addEventListener('click', () => populationInput?.click());
+
+    populationInput?.addEventListener('change', () => {
+      if (populationInput.files.length > 0) {
+        handlePopulationFiles(populationInput.files);
+      }
+      populationInput.value = '';
+    });
+
+    populationClear?.addEventListener('click', () => PopulationModule.clear());
+
+    // Population changed: only the 2SFCA and deficit surfaces depend on it
+    document.addEventListener('population:change', () => {
+      updatePopulationSummary();
+      if (ContourModule.getConfig().mode !== 'energy') {
+        renderContours();
+      }
+    });
+  }
+
+  /**
+   * Load persisted absolute color scale calibrations
+   */
+  function restoreColorScale() {
+    const saved = SafeStorage.getItem(CONFIG.COLOR_SCALE_STORAGE_KEY);
+    if (!saved) return;
+
+    try {
+      const absoluteMax = { ...ContourModule.getConfig().absoluteMax };
+      Object.entries(JSON.parse(saved)).forEach(([mode, value]) => {
+        if (mode in absoluteMax && Number.isFinite(value) && value > 0) {
+          absoluteMax[mode] = value;
+        }
+      });
+      ContourModule.updateConfig({ absoluteMax });
+    } catch (e) {
+      console.warn('[App] Ignoring unreadable color scale:', e.message);
+    }
+  }
+
+  /**
+   * Persist one calibrated scale; the other modes keep their stored values
+   * (a scale from a shared link is in absoluteMax but never persisted)
+   * @param {string} mode
+   * @param {number} value
+   */
+  function saveColorScale(mode, value) {
+    let saved = {};
+    try {
+      saved = JSON.parse(SafeStorage.getItem(CONFIG.COLOR_SCALE_STORAGE_KEY)) || {};
+    } catch (e) {
+      // Unreadable: start over
+    }
+    SafeStorage.setItem(CONFIG.COLOR_SCALE_STORAGE_KEY, JSON.stringify({ ...saved, [mode]: value }));
+  }
+
+  // =====================================================
+  // Color Palette
+  // =====================================================
+
+  /**
+   * Load the persisted palette choice and custom stops
+   */
+  function restorePalette() {
+    const saved = SafeStorage.getItem(CONFIG.PALETTE_STORAGE_KEY);
+    if (!saved) return;
+
+    try {
+      const { palette, custom } = JSON.parse(saved);
+      if (custom) RendererModule.setCustomPalette(custom);
+      if (palette) RendererModule.setPalette(palette);
+    } catch (e) {
+      console.warn('[App] Ignoring unreadable palette:', e.message);
+    }
+  }
+
+  /**
+   * Persist the palette choice and custom stops
+   */
+  function savePalette() {
+    SafeStorage.setItem(CONFIG.PALETTE_STORAGE_KEY, JSON.stringify({
+      palette: RendererModule.getConfig().palette,
+      custom: RendererModule.getCustomPalette()
+    }));
+  }
+
+  /**
+   * Setup the palette selector and the gradient editor
+   */
+  function setupPalette() {
+    const select = document.getElementById('palette-select');
+    const editBtn = document.getElementById('palette-edit');
+    const editor = document.getElementById('palette-editor');
+    const stopList = document.getElementById('palette-stops');
+    const addBtn = document.getElementById('palette-add-stop');
+    if (!select || !editor || !stopList) return;
+
+    // Any edit switches to the custom palette
+    const applyStops = () => {
+      const stops = [...stopList.querySelectorAll('[data-stop]')].map(row => ({
+        pos: Number(row.querySelector('input[type="range"]').value) / 100,
+        color: row.querySelector('input[type="color"]').value
+      }));
+      if (!RendererModule.setCustomPalette(stops)) return;
+
+      if (RendererModule.getConfig().palette !== 'custom') {
+        RendererModule.setPalette('custom');
+        renderPaletteOptions();
+      }
+      paletteChanged();
+    };
+
+    // The editor starts from the active palette; editing a built-in one
+    // turns it into the custom palette
+    const getEditableStops = () => (
+      RendererModule.getConfig().palette === 'custom'
+        ? RendererModule.getCustomPalette()
+        : RendererModule.getColorStops().map(({ pos, color }) => ({ pos, color: RendererModule.toHex(color) }))
+    );
+
+    const renderStops = () => {
+      const stops = getEditableStops();
+      const { min, max } = RendererModule.getConfig().customStopLimit;
+
+      stopList.innerHTML = stops.map(({ pos, color }, index) => `
+        <div class="flex items-center gap-2" data-stop="${index}">
+          <input type="color" value="${escapeHtml(color)}" class="w-8 h-6 border border-gray-200 rounded cursor-pointer" aria-label="色標 ${index + 1} 顏色">
+          <input type="range" min="0" max="100" step="1" value="${Math.round(pos * 100)}" class="flex-1 accent-emerald-600" aria-label="色標 ${index + 1} 位置">
+          <button type="button" class="palette-remove-stop text-xs text-gray-400 hover:text-red-500 ${stops.length <= min ? 'invisible' : ''}" aria-label="移除色標 ${index + 1}">✕</button>
+        </div>
+      `).join('');
+      if (addBtn) addBtn.disabled = stops.length >= max;
+    };
+
+    renderPaletteOptions();
+    updatePalettePreview();
+
+    select.addEventListener('change', () => {
+      RendererModule.setPalette(select.value);
+      if (!editor.classList.contains('hidden')) renderStops();
+      paletteChanged();
+      savePalette();
+      updateUrl();
+    });
+
+    editBtn?.addEventListener('click', () => {
+      const open = editor.classList.toggle('hidden') === false;
+      editBtn.setAttribute('aria-expanded', String(open));
+      if (open) renderStops();
+    });
+
+    // Live preview while dragging; persist once the value is committed
+    stopList.addEventListener('input', applyStops);
+    stopList.addEventListener('change', () => {
+      savePalette();
+      updateUrl();
+    });
+
+    stopList.addEventListener('click', event => {
+      const remove = event.target.closest('.palette-remove-stop');
+      if (!remove) return;
+      remove.closest('[data-stop]').remove();
+      applyStops();
+      renderStops();
+      savePalette();
+      updateUrl();
+    });
+
+    // New stop in the middle of the widest gap, in the color already there
+    addBtn?.addEventListener('click', () => {
+      const stops = getEditableStops();
+      let gap = 0;
+      for (let i = 1; i < stops.length; i++) {
+        if (stops[i].pos - stops[i - 1].pos > stops[gap + 1].pos - stops[gap].pos) gap = i - 1;
+      }
+      const pos = (stops[gap].pos + stops[gap + 1].pos) / 2;
+      stops.splice(gap + 1, 0, { pos, color: RendererModule.toHex(RendererModule.getColor(pos)) });
+      if (!RendererModule.setCustomPalette(stops)) return;
+      RendererModule.setPalette('custom');
+      renderPaletteOptions();
+      renderStops();
+      paletteChanged();
+      savePalette();
+      updateUrl();
+    });
+  }
+
+  /**
+   * Fill the palette selector (the custom palette only once it exists)
+   */
+  function renderPaletteOptions() {
+    const select = document.getElementById('palette-select');
+    if (!select) return;
+
+    const hasCustom = RendererModule.getCustomPalette() !== null;
+    select.innerHTML = RendererModule.getPalettes()
+      .filter(({ id }) => id !== 'custom' || hasCustom)
+      .map(({ id, label }) => `<option value="${escapeHtml(id)}">${escapeHtml(label)}</option>`)
+      .join('');
+    select.value = RendererModule.getConfig().palette;
+  }
+
+  /**
+   * Refresh everything showing the palette
+   */
+  function paletteChanged() {
+    updatePalettePreview();
+    updateLegend();
+  }
+
+  /**
+   * Draw the active palette as a gradient bar
+   */
+  function updatePalettePreview() {
+    const preview = document.getElementById('palette-preview');
+    if (!preview) return;
+
+    const stops = RendererModule.getColorStops().map(({ pos, color }) =>
+      `rgb(${color.r}, ${color.g}, ${color.b}) ${pos * 100}%`
+    );
+    preview.style.background = `linear-gradient(to right, ${stops.join(', ')})`;
+  }
+
+  // =====================================================
+  // Grid Quality
+  // =====================================================
+
+  /**
+   * Load the persisted grid quality
+   */
+  function restoreQuality() {
+    const quality = Number(SafeStorage.getItem(CONFIG.QUALITY_STORAGE_KEY));
+    if (quality in ContourModule.getConfig().qualityCellPixels) {
+      ContourModule.updateConfig({ quality });
+    }
+  }
+
+  /**
+   * Handle a quality slider change: recompute on the new grid
+   * @param {Event} event
+   */
+  function handleQualityChange(event) {
+    const quality = Number(event.target.value);
+    if (!(quality in ContourModule.getConfig().qualityCellPixels)) return;
+
+    ContourModule.updateConfig({ quality });
+    SafeStorage.setItem(CONFIG.QUALITY_STORAGE_KEY, String(quality));
+    updateUrl();
+    renderContours();
+  }
+
+  /**
+   * Describe the grid of the last computation
+   * @param {Object} grid - {width, height, cellSize}
+   * @param {number} processingTime - Milliseconds
+   */
+  function updateQualitySummary(grid, processingTime) {
+    const summary = document.getElementById('quality-summary');
+    if (!summary) return;
+    summary.textContent =
+      `網格 ${grid.width} × ${grid.height}，每格約 ${Math.round(grid.cellSize)} 公尺・計算 ${Math.round(processingTime)} ms`;
+  }
+
+  /**
+   * Calibrate the absolute color scale of the current model on the current view
+   */
+  function handleCalibrateScale() {
+    const render = state.lastRender;
+    if (!render) {
+      showMessage('目前沒有可校準的地形', 'info');
+      return;
+    }
+
+    const value = ContourModule.calibrateScale(render.field, render.stats.mode);
+    if (value === null) {
+      showMessage('目前視野沒有數值，無法校準', 'info');
+      return;
+    }
+
+    saveColorScale(render.stats.mode, value);
+    ContourModule.updateConfig({ scale: 'absolute' });
+    const scaleSelect = document.getElementById('scale-select');
+    if (scaleSelect) scaleSelect.value = 'absolute';
+
+    updateScaleSummary();
+    updateUrl();
+    renderContours();
+    showMessage(`已將絕對色階上限設為 ${value}`, 'success');
+  }
+
+  /**
+   * Tell ContourModule whether the renderer fills bands between levels
+   * @returns {boolean} True if that changed (the contours need a new run)
+   */
+  function syncFilledBands() {
+    const filledBands = RendererModule.getConfig().style !== 'lines';
+    if (ContourModule.getConfig().filledBands === filledBands) return false;
+
+    ContourModule.updateConfig({ filledBands });
+    return true;
+  }
+
+  /**
+   * Show the light direction controls only while the relief is on
+   */
+  function updateReliefControls() {
+    document.getElementById('relief-controls')?.classList.toggle(
+      'hidden', RendererModule.getConfig().relief === 'off'
+    );
+  }
+
+  /**
+   * Recompute the hillshade of the last rendered field
+   */
+  function updateRelief() {
+    const render = state.lastRender;
+    if (!render || RendererModule.getConfig().relief === 'off') {
+      RendererModule.setRelief(null);
+      return;
+    }
+
+    RendererModule.setRelief({
+      shade: ContourModule.computeHillshade(render.contourField, render.contourGrid),
+      grid: render.contourGrid,
+      bounds: render.contourBounds,
+      altitude: ContourModule.getConfig().hillshadeAltitude
+    });
+  }
+
+  /**
+   * Describe the color scale of the current model
+   */
+  function updateScaleSummary() {
+    const summary = document.getElementById('scale-summary');
+    if (!summary) return;
+
+    const config = ContourModule.getConfig();
+    summary.textContent = config.scale === 'absolute'
+      ? `等高線固定在 0 – ${config.absoluteMax[config.mode]} 之間`
+      : '等高線依目前視野的最小值到最大值分佈';
+  }
+
+  /**
+   * Load population files
+   * @param {FileList} files
+   */
+  async function handlePopulationFiles(files) {
+    const { loaded, errors } = await PopulationModule.loadFiles(files);
+
+    errors.forEach(({ name, message }) => {
+      showMessage(`無法載入 ${name}：${message}`, 'error');
+    });
+
+    loaded.forEach(({ name, count, total, pending }) => {
+      showMessage(pending
+        ? `已載入 ${name}，等待對應的村里界或人口統計表`
+        : `已載入 ${name}：${count} 筆，共 ${Math.round(total).toLocaleString()} 人`, 'success');
+    });
+  }
+
+  /**
+   * Show loaded population summary
+   */
+  function updatePopulationSummary() {
+    const summaryEl = document.getElementById('population-summary');
+    const clearBtn = document.getElementById('population-clear');
+    const files = PopulationModule.getFiles();
+
+    if (summaryEl) {
+      const pending = PopulationModule.getPending();
+      const waiting = pending.census + pending.boundaries > 0
+        ? `，${pending.census + pending.boundaries} 筆村里待對應`
+        : '';
+      summaryEl.textContent = files.length > 0
+        ? `${files.map(f => f.name).join('、')}（${Math.round(PopulationModule.getTotal()).toLocaleString()} 人${waiting}）`
+        : '';
+    }
+    clearBtn?.classList.toggle('hidden', files.length === 0);
+  }
+
+  /**
+   * Load local data files and switch to the file source
+   * @param {FileList} files
+   */
+  async function handleFiles(files) {
+    const { loaded, errors } = await FileSourceModule.loadFiles(files);
+
+    errors.forEach(({ name, message }) => {
+      showMessage(`無法載入 ${name}：${message}`, 'error');
+    });
+
+    if (loaded.length === 0) return;
+
+    const total = loaded.reduce((sum, f) => sum + f.count, 0);
+    showMessage(`已載入 ${total} 個資源點`, 'success');
+    updateFileSummary();
+
+    // Frame the loaded data, then render it from the file source
+    const bounds = FileSourceModule.getBounds();
+    if (bounds) {
+      MapModule.getMap().fitBounds(
+        [[bounds.south, bounds.west], [bounds.north, bounds.east]],
+        { animate: false, padding: [20, 20], maxZoom: 16 }
+      );
+    }
+
+    if (!DataSourceModule.setActive('file')) {
+      refresh();
+    }
+  }
+
+  /**
+   * Import government facility registries
+   * @param {FileList} files
+   */
+  async function handleRegistryFiles(files) {
+    const { loaded, errors } = await RegistryModule.importFiles(files);
+
+    errors.forEach(({ name, message }) => {
+      showMessage(`無法匯入 ${name}：${message}`, 'error');
+    });
+
+    loaded.forEach(({ name, count, pending, skipped }) => {
+      const notes = [];
+      if (pending > 0) notes.push(`${pending} 筆僅有地址，可按「以地址定位」`);
+      if (skipped.noCoordinates > 0) notes.push(`${skipped.noCoordinates} 筆無座標也無地址未納入`);
+      const note = notes.length > 0 ? `（${notes.join('；')}）` : '';
+      showMessage(`已匯入 ${name}：${count} 個機構${note}`, 'success');
+    });
+
+    updateRegistrySummary();
+  }
+
+  /**
+   * Geocode address-only registry rows (explicit user action: it sends
+   * the addresses to Nominatim, one per second)
+   */
+  async function handleRegistryGeocode() {
+    const button = document.getElementById('registry-geocode');
+    if (button) button.disabled = true;
+
+    try {
+      const { located, failed, remaining } = await RegistryModule.geocodePending((done, total) => {
+        if (button) button.textContent = `定位中… ${done} / ${total}`;
+      });
+
+      const notes = [];
+      if (failed > 0) notes.push(`${failed} 筆找不到`);
+      if (remaining > 0) notes.push(`尚有 ${remaining} 筆待定位`);
+      const note = notes.length > 0 ? `（${notes.join('，')}）` : '';
+      showMessage(`已以地址定位 ${located} 個機構${note}`, located > 0 ? 'success' : 'info');
+    } finally {
+      if (button) button.disabled = false;
+      updateRegistrySummary();
+    }
+  }
+
+  /**
+   * Show imported registry summary
+   */
+  function updateRegistrySummary() {
+    const summaryEl = document.getElementById('registry-summary');
+    const clearBtn = document.getElementById('registry-clear');
+    const geocodeBtn = document.getElementById('registry-geocode');
+    const files = RegistryModule.getFiles();
+    const pending = RegistryModule.getPendingCount();
+
+    if (summaryEl) {
+      summaryEl.textContent = files.map(f => `${f.name} (${f.count})`).join('、');
+    }
+    clearBtn?.classList.toggle('hidden', files.length === 0);
+    if (geocodeBtn) {
+      geocodeBtn.classList.toggle('hidden', pending === 0);
+      if (!geocodeBtn.disabled) geocodeBtn.textContent = `以地址定位 ${pending} 筆`;
+    }
+  }
+
+  /**
+   * Show loaded file names next to the file button
+   */
+  function updateFileSummary() {
+    const summaryEl = document.getElementById('file-summary');
+    const clearBtn = document.getElementById('file-clear');
+    const files = FileSourceModule.getFiles();
+
+    if (summaryEl) {
+      summaryEl.textContent = files.length > 0
+        ? files.map(f => `${f.name} (${f.count})`).join('、')
+        : '';
+      summaryEl.title = summaryEl.textContent;
+    }
+    clearBtn?.classList.toggle('hidden', files.length === 0);
+  }
+
+  /**
+   * Force a fetch and re-render for the current view
+   */
+  function refresh() {
+    state.lastBbox = null;
+    fetchAndRender();
+  }
+
   // =====================================================
   // Guide Modal
   // =====================================================
@@ -223,7 +1200,7 @@ const App = (() => {
   function updateUITheme(theme) {
     const body = document.body;
     const themeToggle = document.getElementById('theme-toggle');
-    const canvas = document.getElementById('contour-canvas');
+    const canvas = RendererModule.getContainer();
 
     if (theme === 'dark') {
       // Dark theme: add class, update canvas blend mode
@@ -304,37 +1281,45 @@ const App = (() => {
     // Skip if zoom is too low (too much data)
     if (zoom < CONFIG.MIN_ZOOM_LEVEL) {
       showMessage('請放大地圖以查看關懷地景', 'info');
+      ContourModule.cancel();
       RendererModule.clear();
       updateStats([], 0);
+      state.lastRender = null;
+      updateLegend();
       return;
     }
 
-    const bbox = MapModule.getBboxString();
-
-    // Skip if bbox hasn't changed significantly (H02)
-    if (!isBboxSignificantlyDifferent(bbox, state.lastBbox)) {
+    // Skip if the view hasn't changed significantly (H02); compared
+    // without the margin, which would dilute the size change of a zoom
+    const viewBbox = MapModule.getBboxString();
+    if (!isBboxSignificantlyDifferent(viewBbox, state.lastBbox)) {
       return;
     }
 
+    // Include resources just outside the view: their kernels reach into it
+    const bbox = MapModule.getBboxString(ContourModule.getMargin());
+
     // Prevent concurrent requests (H02)
     if (state.isLoading) {
       console.log('[App] Already loading, skipping request');
       return;
     }
 
-    state.lastBbox = bbox;
+    state.lastBbox = viewBbox;
+    state.lastFetchBbox = bbox;
     setLoading(true);
 
     try {
-      // Fetch resources from Overpass
-      const resources = await OverpassModule.fetchResources(bbox);
+      // Fetch resources from the active data source
+      // (for Overpass: the merged set of all tiles covering the view)
+      const resources = await DataSourceModule.fetchResources(bbox);
       state.resources = resources;
 
       // Apply filters
       applyFilters();
 
       // Render contours
-      renderContours();
+      await renderContours();
 
       // Update UI
       updateResourceCounts();
@@ -358,6 +1343,20 @@ const App = (() => {
     }
   }
 
+  /**
+   * Handle refreshed data from a stale-while-revalidate cache hit
+   * Re-fetches through DataSourceModule (now a fresh cache hit) so that
+   * supplementary datasets are merged in as usual.
+   * @param {CustomEvent} event - detail: {bbox, resources}
+   */
+  function handleRevalidated(event) {
+    const { bbox } = event.detail;
+    if (bbox !== state.lastFetchBbox || DataSourceModule.getActive()?.id !== 'overpass') return;
+
+    console.log('[App] Applying revalidated resources');
+    refresh();
+  }
+
   /**
    * Apply filters to resources
    */
@@ -367,19 +1366,27 @@ const App = (() => {
 
   /**
    * Render contours from current filtered resources
+   * Contours are computed in a Web Worker when available; a newer call
+   * supersedes an older one still in progress.
+   * @returns {Promise<void>}
    */
-  function renderContours() {
+  async function renderContours() {
     const resources = state.filteredResources;
 
     if (resources.length === 0) {
+      ContourModule.cancel();
       RendererModule.clear();
       updateStats([], 0);
+      state.contours = null;
+      state.lastRender = null;
+      state.valleys = [];
+      state.selectedValley = null;
+      RendererModule.setHighlight(null);
+      renderValleyList();
+      updateLegend();
       return;
     }
 
-    // Ensure canvas is properly sized before rendering (without triggering events)
-    RendererModule.syncSize();
-
     // Get map bounds
     const map = MapModule.getMap();
     const mapBounds = map.getBounds();
@@ -399,25 +1406,241 @@ const App = (() => {
       height
     };
 
+    // The field is computed with a margin around the view; 2SFCA and
+    // deficit need the population resampled onto that padded grid
+    const options = { margin: ContourModule.getMargin() };
+    if (ContourModule.getConfig().mode !== 'energy') {
+      const grid = ContourModule.getGrid(bounds, pixelBounds, options.margin);
+      const padded = ContourModule.getPaddedGrid(bounds, options.margin, grid);
+      options.population = PopulationModule.sampleGrid(padded.bounds, padded.grid);
+    }
+
     // Generate and render contours
-    const result = ContourModule.process(resources, bounds, pixelBounds);
-    state.contours = result.contours;
+    const result = await ContourModule.processAsync(resources, bounds, pixelBounds, options);
+    if (!result) return;  // Superseded by a newer render or map move
+
+    // The renderer layer draws from geographic coordinates, so contours
+    // stay aligned with the tiles while the map is dragged or zoomed
+    state.contours = ContourModule.transformToGeo(result.contours, result.contourBounds, result.contourGrid);
+    state.lastRender = {
+      bounds,
+      grid: result.grid,
+      field: result.field,
+      contourBounds: result.contourBounds,
+      contourGrid: result.contourGrid,
+      contourField: result.contourField,
+      stats: result.stats,
+      zoom: map.getZoom()
+    };
 
-    RendererModule.render(result.contours);
+    updateRelief();
+    RendererModule.render(state.contours);
 
     // Update stats
     updateStats(resources, result.stats.contourLevels);
+    updateQualitySummary(result.grid, result.stats.processingTime);
+    updateLegend();
+
+    // Silent valleys
+    updateValleys(bounds, result);
 
     // Optionally show markers for debugging
     // MapModule.addMarkers(resources);
   }
 
+  // =====================================================
+  // Silent Valleys
+  // =====================================================
+
+  /**
+   * Detect valleys in the energy field of the current view
+   * @param {Object} bounds - View bounds
+   * @param {Object} result - ContourModule result ({energy, grid, population})
+   */
+  function updateValleys(bounds, result) {
+    // Valleys are defined on the energy field, whatever layer is shown
+    state.valleys = ValleyModule.detect(result.energy, result.grid, bounds, {
+      population: result.population || (PopulationModule.hasData() ? PopulationModule.sampleGrid(bounds, result.grid) : null)
+    });
+
+    // The valleys are new objects: follow the selection to the valley now
+    // under its centroid, or drop it if there is none
+    if (state.selectedValley) {
+      state.selectedValley = ValleyModule.findAt(state.valleys, state.selectedValley.centroid);
+      if (!state.selectedValley) RendererModule.setHighlight(null);
+    }
+
+    renderValleyList();
+    drawValleyHighlight();
+  }
+
+  /**
+   * Render the ranked valley list
+   */
+  function renderValleyList() {
+    const list = document.getElementById('valley-list');
+    if (!list) return;
+
+    if (state.valleys.length === 0) {
+      list.innerHTML = '<li class="text-xs text-gray-400">目前視野沒有明顯的山谷</li>';
+      return;
+    }
+
+    list.innerHTML = state.valleys.map(valley => {
+      const hectares = (valley.area / 10000).toFixed(1);
+      const people = valley.population !== null
+        ? ` · ${Math.round(valley.population).toLocaleString()} 人`
+        : '';
+      const open = valley.open ? '<span class="text-gray-400">（延伸至視野外）</span>' : '';
+
+      return `
+        <li>
+          <button type="button" class="valley-item w-full text-left text-xs px-2 py-1 rounded-md hover:bg-blue-50 transition-colors"
+                  data-rank="${valley.rank}">
+            <span class="font-medium text-blue-600">#${valley.rank}</span>
+            <span class="text-gray-600">${hectares} 公頃${people}</span>${open}
+          </button>
+        </li>
+      `;
+    }).join('');
+  }
+
+  /**
+   * Zoom to a valley and highlight it (click again to clear)
+   * @param {Object} valley
+   */
+  function selectValley(valley) {
+    // state.selectedValley is one of state.valleys (see updateValleys)
+    if (state.selectedValley === valley) {
+      state.selectedValley = null;
+      RendererModule.setHighlight(null);
+      return;
+    }
+
+    state.selectedValley = valley;
+    drawValleyHighlight();
+
+    const { south, west, north, east } = valley.bbox;
+    MapModule.getMap().fitBounds([[south, west], [north, east]], { padding: [40, 40] });
+  }
+
+  /**
+   * Highlight the selected valley on the contour layer
+   */
+  function drawValleyHighlight() {
+    if (!state.selectedValley) return;
+    RendererModule.setHighlight(state.selectedValley.geometry.coordinates);
+  }
+
+  // =====================================================
+  // Export
+  // =====================================================
+
+  /**
+   * Export a layer of the current view as GeoJSON
+   * @param {'contours'|'resources'|'valleys'|'bounds'} layer
+   */
+  function handleExport(layer) {
+    const render = state.lastRender;
+    if (!render) {
+      showMessage('目前沒有可匯出的資料', 'info');
+      return;
+    }
+
+    const meta = { mode: render.stats.mode, decay: render.stats.decay };
+    let geojson;
+
+    switch (layer) {
+      case 'contours':
+        // Contours extend into the margin around the view
+        geojson = ExportModule.contoursToGeoJSON(state.contours || [], render.contourBounds, meta);
+        break;
+      case 'resources':
+        geojson = ExportModule.resourcesToGeoJSON(state.filteredResources);
+        break;
+      case 'valleys':
+        geojson = ExportModule.valleysToGeoJSON(state.valleys);
+        break;
+      case 'bounds':
+        geojson = ExportModule.boundsToGeoJSON(render.bounds, {
+          ...meta,
+          zoom: render.zoom,
+          exported_at: new Date().toISOString()
+        });
+        break;
+      default:
+        return;
+    }
+
+    ExportModule.download(geojson, layer);
+  }
+
+  /**
+   * Export the current view as a PNG or SVG poster
+   * @param {string} format - 'png' or 'svg'
+   */
+  async function handlePosterExport(format) {
+    const render = state.lastRender;
+    if (!render || !state.contours) {
+      showMessage('目前沒有可匯出的地形', 'info');
+      return;
+    }
+
+    const selectedText = id => {
+      const select = document.getElementById(id);
+      return select ? select.options[select.selectedIndex].text : '';
+    };
+    const title = document.getElementById('poster-title')?.value.trim() || '關懷地景 The Topography of Care';
+    const scale = Number(document.getElementById('poster-scale')?.value) || 2;
+
+    showMessage('正在產生海報…', 'info');
+
+    try {
+      const blob = await PosterModule.create({
+        format,
+        scale,
+        title,
+        subtitle: `${selectedText('decay-select')}衰減・${state.filteredResources.length} 處資源`,
+        legendTitle: selectedText('mode-select')
+      });
+      ExportModule.downloadBlob(blob, ExportModule.fileName('poster', format));
+    } catch (error) {
+      console.error('[App] Poster export failed:', error);
+      showMessage('海報產生失敗', 'error');
+    }
+  }
+
+  /**
+   * Render the resource type filter list from ResourceTypeModule
+   */
+  function renderTypeList() {
+    const container = document.getElementById('type-list');
+    if (!container) return;
+
+    container.innerHTML = ResourceTypeModule.getAll().map(type => `
+      <label class="flex items-center gap-2 cursor-pointer group">
+        <input type="checkbox" ${state.filters[type.id] ? 'checked' : ''}
+               data-type="${escapeHtml(type.id)}" class="resource-filter accent-emerald-600">
+        <span class="w-3 h-3 rounded-full" style="background-color: ${escapeHtml(type.color)}"></span>
+        <span class="text-sm text-gray-600 group-hover:text-gray-900 transition-colors">${escapeHtml(type.label)}</span>
+        <span id="count-${escapeHtml(type.id)}" class="ml-auto text-xs text-gray-400">0</span>
+        ${type.custom ? `
+        <button type="button" class="custom-type-remove text-xs text-gray-400 hover:text-red-500"
+                data-type="${escapeHtml(type.id)}" title="移除 ${escapeHtml(type.selectorText)}"
+                aria-label="移除自訂類型 ${escapeHtml(type.label)}">✕</button>` : ''}
+      </label>
+    `).join('');
+
+    updateResourceCounts();
+  }
+
   /**
    * Handle filter checkbox change
    */
   function handleFilterChange(event) {
     const type = event.target.dataset.type;
     state.filters[type] = event.target.checked;
+    updateUrl();
 
     applyFilters();
     renderContours();
@@ -464,33 +1687,40 @@ const App = (() => {
     const panel = document.getElementById('selected-info');
     const content = document.getElementById('selected-content');
 
-    // Get type label
-    const typeLabels = {
-      hospital: '醫院',
-      clinic: '診所',
-      library: '圖書館',
-      social: '社福機構',
-      pharmacy: '藥局',
-      community: '社區活動中心',
-      kindergarten: '幼兒園'
-    };
-
     // Build content HTML (all dynamic values escaped for XSS protection)
-    const typeLabel = typeLabels[resource.type] || escapeHtml(resource.type);
+    const typeDef = ResourceTypeModule.get(resource.type);
+    const typeLabel = typeDef
+      ? `${typeDef.icon} ${escapeHtml(typeDef.label)}`
+      : escapeHtml(resource.type);
     const osmId = Number.isInteger(resource.id) ? resource.id : encodeURIComponent(resource.id);
+    const osmType = ['node', 'way', 'relation'].includes(resource.osmType) ? resource.osmType : 'node';
+    const isOsm = !resource.source || resource.source === 'osm';
+    const sources = resource.sources || [resource.source || 'osm'];
+    const sourceLabels = {
+      osm: 'OpenStreetMap',
+      registry: '政府開放資料',
+      file: '本機檔案'
+    };
+    const badges = sources
+      .map(source => `<span class="source-badge source-${escapeHtml(source)}">${sourceLabels[source] || escapeHtml(source)}</span>`)
+      .join('');
+    const registryNote = resource.registry?.dataset || resource.tags?.['registry:dataset'];
 
     const html = `
       <div class="facility-card">
         <div class="facility-type">${typeLabel}</div>
         <div class="facility-name">${escapeHtml(resource.name || '未命名設施')}</div>
         ${resource.address ? `<div class="facility-address">${escapeHtml(resource.address)}</div>` : ''}
+        <div class="facility-sources">${badges}</div>
+        ${registryNote ? `<div class="mt-1 text-xs text-gray-400">名冊：${escapeHtml(registryNote)}</div>` : ''}
+        ${isOsm ? `
         <div class="mt-2 text-xs text-gray-500">
-          <a href="https://www.openstreetmap.org/node/${osmId}" target="_blank"
+          <a href="https://www.openstreetmap.org/${osmType}/${osmId}" target="_blank"
              rel="noopener noreferrer"
              class="text-care-gold hover:underline">
             在 OSM 查看
           </a>
-        </div>
+        </div>` : ''}
       </div>
     `;
 
@@ -514,15 +1744,7 @@ const App = (() => {
    * Update resource counts in sidebar
    */
   function updateResourceCounts() {
-    const counts = {
-      hospital: 0,
-      clinic: 0,
-      library: 0,
-      social: 0,
-      pharmacy: 0,
-      community: 0,
-      kindergarten: 0
-    };
+    const counts = Object.fromEntries(ResourceTypeModule.ids().map(id => [id, 0]));
 
     state.resources.forEach(r => {
       if (counts.hasOwnProperty(r.type)) {
@@ -535,6 +1757,36 @@ const App = (() => {
       const el = document.getElementById(`count-${type}`);
       if (el) el.textContent = count;
     });
+
+    updateLegend();
+  }
+
+  /**
+   * Refresh the map legend from the drawn contours, the color scale and
+   * the resource types in the filtered set
+   */
+  function updateLegend() {
+    const config = ContourModule.getConfig();
+    const modeSelect = document.getElementById('mode-select');
+
+    const counts = {};
+    state.filteredResources.forEach(r => {
+      counts[r.type] = (counts[r.type] || 0) + 1;
+    });
+
+    LegendModule.update({
+      title: modeSelect ? modeSelect.options[modeSelect.selectedIndex].text : '',
+      contours: RendererModule.getContours(),
+      scale: { type: config.scale, max: config.absoluteMax[config.mode] },
+      types: ResourceTypeModule.ids()
+        .filter(id => counts[id] > 0)
+        .map(id => ({
+          id,
+          label: ResourceTypeModule.getLabel(id),
+          color: ResourceTypeModule.getColor(id),
+          count: counts[id]
+        }))
+    });
   }
 
   /**
@@ -637,6 +1889,7 @@ const App = (() => {
     init,
     getState,
     fetchAndRender,
+    refresh,
     applyFilters,
     renderContours
   };
@@ -0,0 +1,437 @@
+/**
+ * cache.js - Persistent LRU Cache backed by IndexedDB
+ * 關懷地景 The Topography of Care
+ *
+ * Two-level cache: a memory index of every entry's metadata plus
+ * IndexedDB for the payloads, so results survive page reloads.
+ * Entries are evicted least-recently-used first once the byte or
+ * entry budget is exceeded. Falls back to memory-only storage when
+ * IndexedDB is unavailable (private mode, file://, old browsers).
+ */
+
+const CacheModule = (() => {
+  // Configuration
+  const CONFIG = {
+    dbName: 'topography-care-cache',
+    dbVersion: 1,
+
+    // Budget (whichever is hit first triggers LRU eviction)
+    maxEntries: 500,
+    maxBytes: 20 * 1024 * 1024,  // ~20 MB of serialized JSON
+
+    // Freshness windows (stale-while-revalidate)
+    freshFor: 5 * 60 * 1000,            // 5 minutes: served without revalidation
+    staleFor: 7 * 24 * 60 * 60 * 1000   // 7 days: served immediately, refreshed in background
+  };
+
+  // Object store names: payloads and metadata are split so that
+  // startup only has to read the (small) metadata records
+  const STORES = {
+    data: 'data',
+    meta: 'meta'
+  };
+
+  // Memory index: key -> { key, size, timestamp, lastAccess }
+  const index = new Map();
+
+  // Hot payloads kept in memory: key -> data
+  const memory = new Map();
+
+  // Total bytes tracked by the index
+  let totalBytes = 0;
+
+  // IndexedDB connection (null = memory-only mode)
+  let db = null;
+
+  // Initialization promise (shared by all callers)
+  let ready = null;
+
+  /**
+   * Open the database and load the metadata index
+   * @returns {Promise<void>}
+   */
+  function init() {
+    if (ready) return ready;
+
+    ready = openDatabase()
+      .then(database => {
+        db = database;
+        return loadIndex();
+      })
+      .then(() => {
+        console.log(`[CacheModule] Ready: ${index.size} entries, ${formatBytes(totalBytes)}`);
+        return evict();
+      })
+      .catch(error => {
+        db = null;
+        console.warn('[CacheModule] IndexedDB unavailable, using memory only:', error?.message || error);
+      });
+
+    return ready;
+  }
+
+  /**
+   * Open (and upgrade if needed) the IndexedDB database
+   * @returns {Promise<IDBDatabase>}
+   */
+  function openDatabase() {
+    return new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('indexedDB not supported'));
+        return;
+      }
+
+      const request = indexedDB.open(CONFIG.dbName, CONFIG.dbVersion);
+
+      request.onupgradeneeded = () => {
+        const database = request.result;
+        if (!database.objectStoreNames.contains(STORES.data)) {
+          database.createObjectStore(STORES.data);
+        }
+        if (!database.objectStoreNames.contains(STORES.meta)) {
+          database.createObjectStore(STORES.meta, { keyPath: 'key' });
+        }
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => reject(new Error('database blocked'));
+    });
+  }
+
+  /**
+   * Read all metadata records into the memory index
+   * @returns {Promise<void>}
+   */
+  function loadIndex() {
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(STORES.meta, 'readonly');
+      const request = tx.objectStore(STORES.meta).getAll();
+
+      request.onsuccess = () => {
+        index.clear();
+        totalBytes = 0;
+        for (const meta of request.result || []) {
+          index.set(meta.key, meta);
+          totalBytes += meta.size || 0;
+        }
+        resolve();
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Run a readwrite transaction over both stores
+   * @param {Function} fn - Receives {data, meta} object stores
+   * @returns {Promise<void>} Resolves when the transaction completes
+   */
+  function writeTransaction(fn) {
+    if (!db) return Promise.resolve();
+
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction([STORES.data, STORES.meta], 'readwrite');
+      fn({
+        data: tx.objectStore(STORES.data),
+        meta: tx.objectStore(STORES.meta)
+      });
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    }).catch(error => {
+      console.warn('[CacheModule] Write failed:', error?.message || error);
+    });
+  }
+
+  /**
+   * Read a payload from IndexedDB
+   * @param {string} key
+   * @returns {Promise<*>} Payload or undefined
+   */
+  function readData(key) {
+    if (!db) return Promise.resolve(undefined);
+
+    return new Promise((resolve) => {
+      const tx = db.transaction(STORES.data, 'readonly');
+      const request = tx.objectStore(STORES.data).get(key);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => resolve(undefined);
+    });
+  }
+
+  /**
+   * Classify an entry by age
+   * @param {Object} meta
+   * @returns {string} 'fresh' | 'stale' | 'expired'
+   */
+  function getState(meta) {
+    const age = Date.now() - meta.timestamp;
+    if (age < CONFIG.freshFor) return 'fresh';
+    if (age < CONFIG.freshFor + CONFIG.staleFor) return 'stale';
+    return 'expired';
+  }
+
+  /**
+   * Get a cache entry
+   * @param {string} key
+   * @returns {Promise<{data: *, state: string, timestamp: number}|null>}
+   */
+  async function get(key) {
+    await init();
+
+    const meta = index.get(key);
+    if (!meta) return null;
+
+    let data = memory.get(key);
+    if (data === undefined) {
+      data = await readData(key);
+      if (data === undefined) {
+        // Metadata without payload (interrupted write): drop it
+        await remove(key);
+        return null;
+      }
+      memory.set(key, data);
+    }
+
+    // Touch for LRU ordering
+    meta.lastAccess = Date.now();
+    writeTransaction(stores => stores.meta.put(meta));
+
+    return { data, state: getState(meta), timestamp: meta.timestamp };
+  }
+
+  /**
+   * Store a cache entry, evicting least-recently-used entries if over budget
+   * @param {string} key
+   * @param {*} data - Structured-cloneable payload
+   * @returns {Promise<void>}
+   */
+  async function set(key, data) {
+    await init();
+
+    const size = estimateSize(data);
+    if (size > CONFIG.maxBytes) {
+      console.warn(`[CacheModule] Entry ${key} (${formatBytes(size)}) exceeds budget, not cached`);
+      return;
+    }
+
+    const previous = index.get(key);
+    if (previous) totalBytes -= previous.size || 0;
+
+    const now = Date.now();
+    const meta = { key, size, timestamp: now, lastAccess: now };
+
+    index.set(key, meta);
+    memory.set(key, data);
+    totalBytes += size;
+
+    await writeTransaction(stores => {
+      stores.data.put(data, key);
+      stores.meta.put(meta);
+    });
+
+    await evict();
+  }
+
+  /**
+   * Remove a single entry
+   * @param {string} key
+   * @returns {Promise<boolean>} True if an entry was removed
+   */
+  async function remove(key) {
+    const meta = index.get(key);
+    if (!meta) return false;
+
+    index.delete(key);
+    memory.delete(key);
+    totalBytes -= meta.size || 0;
+
+    await writeTransaction(stores => {
+      stores.data.delete(key);
+      stores.meta.delete(key);
+    });
+    return true;
+  }
+
+  /**
+   * Evict least-recently-used entries until within budget
+   * @returns {Promise<number>} Number of evicted entries
+   */
+  async function evict() {
+    if (index.size <= CONFIG.maxEntries && totalBytes <= CONFIG.maxBytes) return 0;
+
+    const byAge = Array.from(index.values()).sort((a, b) => a.lastAccess - b.lastAccess);
+    const victims = [];
+
+    for (const meta of byAge) {
+      if (index.size - victims.length <= CONFIG.maxEntries &&
+          totalBytes <= CONFIG.maxBytes) break;
+      victims.push(meta.key);
+      totalBytes -= meta.size || 0;
+    }
+
+    for (const key of victims) {
+      index.delete(key);
+      memory.delete(key);
+    }
+
+    await writeTransaction(stores => {
+      victims.forEach(key => {
+        stores.data.delete(key);
+        stores.meta.delete(key);
+      });
+    });
+
+    if (victims.length > 0) {
+      console.log(`[CacheModule] Evicted ${victims.length} entries (LRU)`);
+    }
+    return victims.length;
+  }
+
+  /**
+   * Purge entries
+   * @param {Object|Function} [filter] - Omit to purge everything; or a predicate
+   *   receiving entry info (see getStats); or {key}, {prefix}, {olderThan: ms},
+   *   {state: 'fresh'|'stale'|'expired'}
+   * @returns {Promise<number>} Number of removed entries
+   */
+  async function clear(filter) {
+    await init();
+
+    const predicate = buildPredicate(filter);
+    const victims = Array.from(index.values())
+      .map(describe)
+      .filter(predicate)
+      .map(entry => entry.key);
+
+    for (const key of victims) {
+      const meta = index.get(key);
+      totalBytes -= meta.size || 0;
+      index.delete(key);
+      memory.delete(key);
+    }
+
+    await writeTransaction(stores => {
+      if (!filter) {
+        stores.data.clear();
+        stores.meta.clear();
+        return;
+      }
+      victims.forEach(key => {
+        stores.data.delete(key);
+        stores.meta.delete(key);
+      });
+    });
+
+    return victims.length;
+  }
+
+  /**
+   * Turn a clear() filter into a predicate
+   * @param {Object|Function} [filter]
+   * @returns {Function}
+   */
+  function buildPredicate(filter) {
+    if (!filter) return () => true;
+    if (typeof filter === 'function') return filter;
+
+    return entry => {
+      if (filter.key !== undefined && entry.key !== filter.key) return false;
+      if (filter.prefix !== undefined && !entry.key.startsWith(filter.prefix)) return false;
+      if (filter.olderThan !== undefined && entry.age < filter.olderThan) return false;
+      if (filter.state !== undefined && entry.state !== filter.state) return false;
+      return true;
+    };
+  }
+
+  /**
+   * Public description of an index entry
+   * @param {Object} meta
+   * @returns {Object}
+   */
+  function describe(meta) {
+    const now = Date.now();
+    return {
+      key: meta.key,
+      size: meta.size,
+      timestamp: meta.timestamp,
+      lastAccess: meta.lastAccess,
+      age: now - meta.timestamp,
+      state: getState(meta),
+      inMemory: memory.has(meta.key)
+    };
+  }
+
+  /**
+   * Get cache statistics
+   * @returns {Promise<Object>}
+   */
+  async function getStats() {
+    await init();
+
+    return {
+      persistent: db !== null,
+      size: index.size,
+      bytes: totalBytes,
+      maxEntries: CONFIG.maxEntries,
+      maxBytes: CONFIG.maxBytes,
+      freshFor: CONFIG.freshFor,
+      staleFor: CONFIG.staleFor,
+      entries: Array.from(index.values())
+        .map(describe)
+        .sort((a, b) => b.lastAccess - a.lastAccess)
+    };
+  }
+
+  /**
+   * Update budget / freshness configuration
+   * @param {Object} options - Partial {maxEntries, maxBytes, freshFor, staleFor}
+   * @returns {Promise<number>} Number of entries evicted to fit the new budget
+   */
+  async function configure(options = {}) {
+    ['maxEntries', 'maxBytes', 'freshFor', 'staleFor'].forEach(name => {
+      const value = options[name];
+      if (Number.isFinite(value) && value >= 0) {
+        CONFIG[name] = value;
+      }
+    });
+
+    await init();
+    return evict();
+  }
+
+  /**
+   * Approximate serialized size of a payload
+   * @param {*} data
+   * @returns {number} Bytes (UTF-16 code units of the JSON form)
+   */
+  function estimateSize(data) {
+    try {
+      return JSON.stringify(data).length;
+    } catch (e) {
+      return 0;
+    }
+  }
+
+  /**
+   * Format bytes for logging
+   * @param {number} bytes
+   * @returns {string}
+   */
+  function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  }
+
+  // Public API
+  return {
+    init,
+    get,
+    set,
+    remove,
+    clear,
+    getStats,
+    configure
+  };
+})();
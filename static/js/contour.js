@@ -2,116 +2,555 @@
  * contour.js - Contour Generation using d3-contour
  * 關懷地景 The Topography of Care
  *
- * Generates topographic contours from resource points using
- * Gaussian energy field superposition.
+ * Generates topographic contours from resource points, either as a
+ * superposition of distance-decay kernels ("energy"), as a two-step
+ * floating catchment area (2SFCA) accessibility index over a population
+ * grid, or as a care-deficit surface (residents left without supply).
+ *
+ * The heavy part (field + d3.contours) runs in contour.worker.js when
+ * Web Workers are available; this file is loaded there too, so the
+ * pipeline below must not touch the DOM or other app modules.
  */
 
 const ContourModule = (() => {
   // Configuration
   const CONFIG = {
-    // Grid resolution (higher = smoother but slower)
-    gridWidth: 150,
-    gridHeight: 150,
+    // Grid cells are square in meters and sized from the viewport: about
+    // qualityCellPixels[quality] screen pixels per cell (a wide monitor gets
+    // more columns, a tall phone more rows), never finer than minCellSize
+    // meters and capped at maxCells cells including the padding around the
+    // view. Without a viewport the longer side gets gridResolution cells.
+    quality: 3,
+    qualityCellPixels: { 1: 16, 2: 12, 3: 8, 4: 6, 5: 4 },  // Speed -> detail
+    minCellSize: 10,      // Meters; kernels are far wider, finer cells add nothing
+    maxCells: 120000,
+    gridResolution: 150,
 
     // Number of contour levels
     contourLevels: 12,
 
-    // Gaussian parameters for each resource type
-    // sigma is in degrees (roughly: 0.001 ≈ 100m)
-    // cutoffMultiplier: distance beyond which energy is negligible (3σ = 1.1% of amplitude)
-    typeParams: {
-      hospital: { sigma: 0.006, amplitude: 1.0 },      // ~600m spread
-      clinic: { sigma: 0.003, amplitude: 0.5 },        // ~300m spread
-      library: { sigma: 0.005, amplitude: 0.7 },       // ~500m spread
-      social: { sigma: 0.004, amplitude: 0.8 },        // ~400m spread
-      pharmacy: { sigma: 0.002, amplitude: 0.3 },      // ~200m spread (new)
-      community: { sigma: 0.003, amplitude: 0.5 },     // ~300m spread (new)
-      kindergarten: { sigma: 0.002, amplitude: 0.4 }   // ~200m spread (new)
+    // Ring post-processing (refineContours), in grid space before the
+    // transform: smoothing 'chaikin' (corner cutting), 'spline'
+    // (Catmull-Rom through the vertices) or 'none', then simplification
+    // 'douglas-peucker', 'visvalingam' or 'none' with a tolerance in screen
+    // pixels, so the cost of a ring follows its size on screen
+    smoothing: 'chaikin',
+    smoothingIterations: 2,     // Chaikin passes / spline points per segment - 1
+    simplification: 'douglas-peucker',
+    simplifyTolerance: 0.5,     // Pixels (Visvalingam: sqrt of the triangle area)
+    // Set by App while the renderer fills the bands between levels. Each
+    // level is simplified on its own, so a ring may then cut across its
+    // neighbour and leave slivers in the even-odd fill; filled rings are
+    // only smoothed, which moves vertices by a fraction of a cell.
+    filledBands: false,
+
+    // Color scale: 'relative' spreads the levels between the view's min
+    // and max (maximum detail, but colors change as you pan); 'absolute'
+    // uses fixed thresholds from 0 to absoluteMax[mode], so a color means
+    // the same value everywhere
+    scale: 'relative',
+    absoluteMax: {
+      energy: 5,       // ~5 overlapping hospitals
+      '2sfca': 2,      // Supply per 1000 residents
+      deficit: 200     // Uncovered residents per hectare
     },
 
-    // Default parameters for unknown types
-    defaultParams: { sigma: 0.003, amplitude: 0.5 },
+    // calibrateScale() sets absoluteMax to this quantile of the field
+    calibrationQuantile: 0.99,
+
+    // The field is computed on a grid padded by the largest kernel cutoff
+    // and cropped to the view, so contours and 2SFCA catchments do not stop
+    // at the screen edge. The padding counts towards maxCells, so zoomed
+    // far in the cells grow instead of the padding shrinking.
+
+    // Kernel parameters per resource type come from ResourceTypeModule
+    // (sigma is in meters)
+
+    // Distance-decay model (see DECAY_MODELS)
+    decay: 'gaussian',
+
+    // Field model: 'energy' (summed kernels), '2sfca' (accessibility)
+    // or 'deficit' (population not covered by supply)
+    mode: 'energy',
+
+    // 2SFCA scores are supply per this many residents
+    accessibilityScale: 1000,
+
+    // Care deficit: population is smoothed with this Gaussian (meters),
+    // and an energy of halfCoverageEnergy meets half of the local need
+    deficitSmoothing: 300,
+    halfCoverageEnergy: 0.5,
+
+    // Hillshade (computeHillshade): sun direction in degrees (azimuth
+    // clockwise from north, altitude above the horizon) and the height in
+    // meters given to the field's maximum
+    hillshadeAzimuth: 315,
+    hillshadeAltitude: 45,
+    reliefHeight: 1000,
 
-    // Cutoff multiplier for distance truncation optimization
-    // At 3σ, Gaussian value is ~1.1% of amplitude (negligible)
-    cutoffMultiplier: 3
+    // Background worker script (relative to index.html) and the libraries
+    // it needs, loaded from the same URLs as the page's <script> tags so
+    // the browser cache serves them
+    workerUrl: 'static/js/contour.worker.js',
+    workerLibraries: ['d3-array', 'd3-contour']
   };
 
+  // Field models selectable via CONFIG.mode
+  const FIELD_MODES = ['energy', '2sfca', 'deficit'];
+
+  // Values per resource in a packed point buffer
+  const POINT_STRIDE = 4;  // lng, lat, sigma, amplitude
+
+  // Meters per degree of latitude (and of longitude at the equator)
+  const METERS_PER_DEGREE = 111320;
+
+  /**
+   * Distance-decay models: weight(d, sigma) in [0, 1] for a distance d in
+   * meters. Cells beyond reach × sigma are skipped (distance truncation).
+   */
+  const DECAY_MODELS = {
+    // At 3σ the Gaussian is ~1.1% of its peak (negligible)
+    gaussian: { reach: 3, weight: (d, sigma) => Math.exp(-(d * d) / (2 * sigma * sigma)) },
+    // At 5σ the exponential is ~0.7% of its peak
+    exponential: { reach: 5, weight: (d, sigma) => Math.exp(-d / sigma) },
+    // Falls linearly to zero at 2σ
+    linear: { reach: 2, weight: (d, sigma) => 1 - d / (2 * sigma) },
+    // Uniform catchment: full weight within 2σ, nothing beyond
+    step: { reach: 2, weight: () => 1 }
+  };
+
+  // Worker state (main thread only)
+  let worker = null;
+  let workerFailed = false;
+  let jobCounter = 0;
+  let pendingJob = null;  // {id, resolve, args}
+
+  /**
+   * Pack resources into a flat buffer with their kernel parameters resolved,
+   * so the field can be computed without ResourceTypeModule (e.g. in a worker)
+   * @param {Array} resources - Array of resource objects with lat, lng, type
+   * @returns {Float64Array} [lng, lat, sigma, amplitude, ...]
+   */
+  function packResources(resources) {
+    const points = new Float64Array(resources.length * POINT_STRIDE);
+
+    resources.forEach((resource, i) => {
+      const { sigma, amplitude } = ResourceTypeModule.getParams(resource.type);
+      const offset = i * POINT_STRIDE;
+      points[offset] = resource.lng;
+      points[offset + 1] = resource.lat;
+      points[offset + 2] = sigma;
+      points[offset + 3] = amplitude;
+    });
+
+    return points;
+  }
+
+  /**
+   * Describe the computation grid for a view
+   * Uses a local equirectangular projection around the view's center
+   * latitude, so distances are in meters and cells are (nearly) square on
+   * the ground rather than in degrees.
+   * @param {Object} bounds - {south, west, north, east}
+   * @param {Object} [viewport] - {width, height} of the view in pixels; sizes
+   *   cells by the quality level instead of CONFIG.gridResolution
+   * @param {number} [margin=0] - Padding in meters that getPaddedGrid() will
+   *   add, counted in the maxCells budget
+   * @returns {Object} {width, height, cellSize (m), cellWidth, cellHeight (degrees),
+   *   metersPerDegLat, metersPerDegLng}
+   */
+  function getGrid(bounds, viewport, margin = 0) {
+    const midLat = (bounds.north + bounds.south) / 2;
+    const metersPerDegLat = METERS_PER_DEGREE;
+    const metersPerDegLng = METERS_PER_DEGREE * Math.cos(midLat * Math.PI / 180);
+
+    const widthMeters = (bounds.east - bounds.west) * metersPerDegLng;
+    const heightMeters = (bounds.north - bounds.south) * metersPerDegLat;
+    const cellSize = getCellSize(widthMeters, heightMeters, viewport, margin);
+
+    const width = Math.max(1, Math.round(widthMeters / cellSize));
+    const height = Math.max(1, Math.round(heightMeters / cellSize));
+
+    return {
+      width,
+      height,
+      cellSize,
+      cellWidth: (bounds.east - bounds.west) / width,
+      cellHeight: (bounds.north - bounds.south) / height,
+      metersPerDegLat,
+      metersPerDegLng
+    };
+  }
+
+  /**
+   * Cell size in meters for a view
+   * @param {number} widthMeters
+   * @param {number} heightMeters
+   * @param {Object} [viewport] - {width, height} in pixels
+   * @param {number} [margin=0] - Padding in meters on every side
+   * @returns {number}
+   */
+  function getCellSize(widthMeters, heightMeters, viewport, margin = 0) {
+    if (!viewport || !(viewport.width > 0) || !(viewport.height > 0)) {
+      return Math.max(widthMeters, heightMeters) / CONFIG.gridResolution;
+    }
+
+    const metersPerPixel = Math.max(widthMeters / viewport.width, heightMeters / viewport.height);
+    const cellPixels = CONFIG.qualityCellPixels[CONFIG.quality] || CONFIG.qualityCellPixels[3];
+
+    return Math.max(
+      cellPixels * metersPerPixel,
+      CONFIG.minCellSize,
+      Math.sqrt((widthMeters + 2 * margin) * (heightMeters + 2 * margin) / CONFIG.maxCells)
+    );
+  }
+
+  /**
+   * Largest kernel cutoff (reach × sigma) of the known resource types, in
+   * meters: resources this far outside the view still shape it, so the
+   * view is fetched and computed with this margin
+   * @returns {number}
+   */
+  function getMargin() {
+    const maxSigma = Math.max(...ResourceTypeModule.getAll().map(type => type.sigma));
+    return maxSigma * getDecayModel().reach;
+  }
+
+  /**
+   * Largest kernel cutoff of packed points, in meters
+   * @param {Float64Array} points - From packResources()
+   * @returns {number}
+   */
+  function getPointsMargin(points) {
+    let maxSigma = 0;
+    for (let offset = 0; offset < points.length; offset += POINT_STRIDE) {
+      maxSigma = Math.max(maxSigma, points[offset + 2]);
+    }
+    return maxSigma * getDecayModel().reach;
+  }
+
+  /**
+   * Extend a view's grid by whole cells on every side
+   * @param {Object} bounds - View bounds {south, west, north, east}
+   * @param {number} margin - Meters
+   * @param {Object} [grid] - From getGrid(bounds, viewport, margin)
+   * @returns {Object} {bounds, grid, pad}: padded bounds and grid (same cells
+   *   as the view grid) and the padding in cells per side
+   */
+  function getPaddedGrid(bounds, margin, grid = getGrid(bounds, undefined, margin)) {
+    const pad = Math.max(0, Math.ceil(margin / grid.cellSize));
+
+    return {
+      bounds: {
+        south: bounds.south - pad * grid.cellHeight,
+        west: bounds.west - pad * grid.cellWidth,
+        north: bounds.north + pad * grid.cellHeight,
+        east: bounds.east + pad * grid.cellWidth
+      },
+      grid: { ...grid, width: grid.width + 2 * pad, height: grid.height + 2 * pad },
+      pad
+    };
+  }
+
+  /**
+   * Cut the view out of a padded field
+   * @param {Float32Array} field - On the padded grid
+   * @param {Object} padded - From getPaddedGrid()
+   * @param {Object} grid - View grid
+   * @returns {Float32Array}
+   */
+  function cropField(field, padded, grid) {
+    if (padded.pad === 0) return field;
+
+    const cropped = new Float32Array(grid.width * grid.height);
+    for (let y = 0; y < grid.height; y++) {
+      const start = (y + padded.pad) * padded.grid.width + padded.pad;
+      cropped.set(field.subarray(start, start + grid.width), y * grid.width);
+    }
+    return cropped;
+  }
+
   /**
    * Generate scalar field from resource points (optimized with distance truncation)
-   * Uses "reverse update" approach: each resource updates only nearby grid cells
    * @param {Array} resources - Array of resource objects with lat, lng, type
    * @param {Object} bounds - {south, west, north, east}
    * @returns {Float32Array} Flattened 2D array of energy values
    */
   function generateScalarField(resources, bounds) {
-    const { gridWidth, gridHeight, cutoffMultiplier } = CONFIG;
-    const field = new Float32Array(gridWidth * gridHeight);
-
-    // Calculate cell size in degrees
-    const cellWidth = (bounds.east - bounds.west) / gridWidth;
-    const cellHeight = (bounds.north - bounds.south) / gridHeight;
-
-    // For each resource, update only the grid cells within its influence radius
-    for (const resource of resources) {
-      const params = CONFIG.typeParams[resource.type] || CONFIG.defaultParams;
-      const { sigma, amplitude } = params;
-      const sigmaSq = sigma * sigma;
-
-      // Cutoff distance (beyond this, contribution is negligible)
-      const cutoff = cutoffMultiplier * sigma;
-
-      // Calculate the grid cell range this resource affects
-      const minX = Math.max(0, Math.floor((resource.lng - cutoff - bounds.west) / cellWidth));
-      const maxX = Math.min(gridWidth - 1, Math.ceil((resource.lng + cutoff - bounds.west) / cellWidth));
-      const minY = Math.max(0, Math.floor((resource.lat - cutoff - bounds.south) / cellHeight));
-      const maxY = Math.min(gridHeight - 1, Math.ceil((resource.lat + cutoff - bounds.south) / cellHeight));
-
-      // Update only affected grid cells
-      for (let y = minY; y <= maxY; y++) {
-        const cellLat = bounds.south + (y + 0.5) * cellHeight;
-        const dLat = cellLat - resource.lat;
-        const dLatSq = dLat * dLat;
-
-        for (let x = minX; x <= maxX; x++) {
-          const cellLng = bounds.west + (x + 0.5) * cellWidth;
-          const dLng = cellLng - resource.lng;
-          const distSq = dLatSq + dLng * dLng;
-
-          // Gaussian energy: A × exp(-d² / 2σ²)
-          const energy = amplitude * Math.exp(-distSq / (2 * sigmaSq));
-          field[y * gridWidth + x] += energy;
+    return computeField(packResources(resources), bounds);
+  }
+
+  /**
+   * Get the active distance-decay model
+   * @returns {{reach: number, weight: Function}}
+   */
+  function getDecayModel() {
+    return DECAY_MODELS[CONFIG.decay] || DECAY_MODELS.gaussian;
+  }
+
+  /**
+   * Visit every grid cell within a radius of a point
+   * @param {number} lng
+   * @param {number} lat
+   * @param {number} radius - Meters
+   * @param {Object} bounds - {south, west, north, east}
+   * @param {Object} grid - From getGrid(bounds)
+   * @param {Function} visit - (cellIndex, distanceMeters) => void
+   */
+  function forEachCellInReach(lng, lat, radius, bounds, grid, visit) {
+    const { width, height, cellWidth, cellHeight, metersPerDegLat, metersPerDegLng } = grid;
+    const radiusSq = radius * radius;
+
+    // Cell range covering the radius (per axis in degrees)
+    const reachLng = radius / metersPerDegLng;
+    const reachLat = radius / metersPerDegLat;
+    const minX = Math.max(0, Math.floor((lng - reachLng - bounds.west) / cellWidth));
+    const maxX = Math.min(width - 1, Math.ceil((lng + reachLng - bounds.west) / cellWidth));
+    const minY = Math.max(0, Math.floor((lat - reachLat - bounds.south) / cellHeight));
+    const maxY = Math.min(height - 1, Math.ceil((lat + reachLat - bounds.south) / cellHeight));
+
+    for (let y = minY; y <= maxY; y++) {
+      const cellLat = bounds.south + (y + 0.5) * cellHeight;
+      const dy = (cellLat - lat) * metersPerDegLat;
+      const dySq = dy * dy;
+
+      for (let x = minX; x <= maxX; x++) {
+        const cellLng = bounds.west + (x + 0.5) * cellWidth;
+        const dx = (cellLng - lng) * metersPerDegLng;
+        const distSq = dySq + dx * dx;
+
+        if (distSq <= radiusSq) {
+          visit(y * width + x, Math.sqrt(distSq));
         }
       }
     }
+  }
+
+  /**
+   * Compute the scalar field from packed points
+   * Uses "reverse update" approach: each point updates only nearby grid cells
+   * energy(cell) = Σ A × weight(d, σ)
+   * @param {Float64Array} points - From packResources()
+   * @param {Object} bounds - {south, west, north, east}
+   * @param {Object} [grid] - From getGrid(bounds)
+   * @returns {Float32Array} Flattened 2D array of energy values
+   */
+  function computeField(points, bounds, grid = getGrid(bounds)) {
+    const { reach, weight } = getDecayModel();
+    const field = new Float32Array(grid.width * grid.height);
+
+    for (let offset = 0; offset < points.length; offset += POINT_STRIDE) {
+      const sigma = points[offset + 2];
+      const amplitude = points[offset + 3];
+
+      forEachCellInReach(points[offset], points[offset + 1], reach * sigma, bounds, grid,
+        (index, distance) => {
+          field[index] += amplitude * weight(distance, sigma);
+        });
+    }
+
+    return field;
+  }
+
+  /**
+   * Compute a two-step floating catchment area (2SFCA) accessibility field
+   * Step 1: each facility's supply (amplitude) is divided by the
+   *   distance-weighted population within its catchment.
+   * Step 2: each cell sums the ratios of the facilities that reach it.
+   * Without population data demand is a uniform one resident per hectare,
+   * which reduces the index to supply per area, independent of cell size.
+   * @param {Float64Array} points - From packResources()
+   * @param {Object} bounds - {south, west, north, east}
+   * @param {Object} [grid] - From getGrid(bounds)
+   * @param {Float32Array|null} [population] - Residents per grid cell
+   * @returns {Float32Array} Supply per CONFIG.accessibilityScale residents
+   */
+  function computeAccessibility(points, bounds, grid = getGrid(bounds), population = null) {
+    const { reach, weight } = getDecayModel();
+    const field = new Float32Array(grid.width * grid.height);
+    const cellHectares = grid.cellSize * grid.cellSize / 10000;
+    const demandAt = population ? index => population[index] : () => cellHectares;
+
+    for (let offset = 0; offset < points.length; offset += POINT_STRIDE) {
+      const lng = points[offset];
+      const lat = points[offset + 1];
+      const sigma = points[offset + 2];
+      const amplitude = points[offset + 3];
+
+      // Step 1: weighted demand in the catchment
+      let demand = 0;
+      forEachCellInReach(lng, lat, reach * sigma, bounds, grid, (index, distance) => {
+        demand += demandAt(index) * weight(distance, sigma);
+      });
+      if (demand <= 0) continue;
+
+      // Step 2: spread the supply-to-demand ratio back over the catchment
+      const ratio = amplitude / demand * CONFIG.accessibilityScale;
+      forEachCellInReach(lng, lat, reach * sigma, bounds, grid, (index, distance) => {
+        field[index] += ratio * weight(distance, sigma);
+      });
+    }
+
+    return field;
+  }
+
+  /**
+   * Compute a care-deficit field: residents per hectare not covered by supply
+   *   deficit = need × (1 - coverage), coverage = E / (E + halfCoverageEnergy)
+   * where need is the smoothed population density and E the energy field.
+   * Areas without residents (mountains, rivers) have no deficit however
+   * far they are from care.
+   * @param {Float64Array} points - From packResources()
+   * @param {Object} bounds - {south, west, north, east}
+   * @param {Object} [grid] - From getGrid(bounds)
+   * @param {Float32Array|null} [population] - Residents per grid cell
+   * @returns {Float32Array} Zero everywhere when no population is given
+   */
+  function computeDeficit(points, bounds, grid = getGrid(bounds), population = null) {
+    const field = new Float32Array(grid.width * grid.height);
+    if (!population) return field;
+
+    const supply = computeField(points, bounds, grid);
+    const need = blurField(population, grid, CONFIG.deficitSmoothing);
+    const cellHectares = grid.cellSize * grid.cellSize / 10000;
+
+    for (let i = 0; i < field.length; i++) {
+      const coverage = supply[i] / (supply[i] + CONFIG.halfCoverageEnergy);
+      field[i] = need[i] / cellHectares * (1 - coverage);
+    }
 
     return field;
   }
 
+  /**
+   * Hillshade of a field treated as terrain (Horn's method)
+   * The field is scaled so that its maximum is CONFIG.reliefHeight meters
+   * high over cells of grid.cellSize meters, then each cell's surface normal
+   * is lit from the configured sun direction.
+   * @param {Float32Array} field
+   * @param {Object} grid - {width, height, cellSize}
+   * @param {Object} [options] - {azimuth, altitude} in degrees
+   * @returns {Float32Array} Illumination per cell in [0, 1]; flat ground is
+   *   sin(altitude)
+   */
+  function computeHillshade(field, grid, options = {}) {
+    const { width, height, cellSize } = grid;
+    const azimuth = (options.azimuth ?? CONFIG.hillshadeAzimuth) * Math.PI / 180;
+    const altitude = (options.altitude ?? CONFIG.hillshadeAltitude) * Math.PI / 180;
+
+    let max = 0;
+    for (const val of field) {
+      if (val > max) max = val;
+    }
+    const zScale = max > 0 ? CONFIG.reliefHeight / max : 0;
+
+    // Light vector (x east, y north, z up); grid rows run south to north
+    const lightX = Math.sin(azimuth) * Math.cos(altitude);
+    const lightY = Math.cos(azimuth) * Math.cos(altitude);
+    const lightZ = Math.sin(altitude);
+
+    const shade = new Float32Array(width * height);
+    const z = (x, y) => field[
+      Math.min(height - 1, Math.max(0, y)) * width + Math.min(width - 1, Math.max(0, x))
+    ];
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const dzdx = ((z(x + 1, y + 1) + 2 * z(x + 1, y) + z(x + 1, y - 1)) -
+          (z(x - 1, y + 1) + 2 * z(x - 1, y) + z(x - 1, y - 1))) * zScale / (8 * cellSize);
+        const dzdy = ((z(x - 1, y + 1) + 2 * z(x, y + 1) + z(x + 1, y + 1)) -
+          (z(x - 1, y - 1) + 2 * z(x, y - 1) + z(x + 1, y - 1))) * zScale / (8 * cellSize);
+
+        // Unit normal (-dz/dx, -dz/dy, 1) dotted with the light
+        const length = Math.sqrt(dzdx * dzdx + dzdy * dzdy + 1);
+        const lit = (-dzdx * lightX - dzdy * lightY + lightZ) / length;
+        shade[y * width + x] = Math.max(0, lit);
+      }
+    }
+
+    return shade;
+  }
+
+  /**
+   * Separable Gaussian blur of a grid field
+   * @param {Float32Array} field
+   * @param {Object} grid - {width, height, cellSize}
+   * @param {number} sigmaMeters
+   * @returns {Float32Array} New blurred field (mass-preserving away from edges)
+   */
+  function blurField(field, grid, sigmaMeters) {
+    const { width, height } = grid;
+    const sigma = sigmaMeters / grid.cellSize;
+    if (!(sigma > 0.1)) return Float32Array.from(field);
+
+    // Normalized 1D kernel
+    const radius = Math.ceil(3 * sigma);
+    const kernel = new Float32Array(2 * radius + 1);
+    let sum = 0;
+    for (let k = -radius; k <= radius; k++) {
+      kernel[k + radius] = Math.exp(-(k * k) / (2 * sigma * sigma));
+      sum += kernel[k + radius];
+    }
+    kernel.forEach((value, k) => { kernel[k] = value / sum; });
+
+    const pass = (input, horizontal) => {
+      const output = new Float32Array(input.length);
+      for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+          const value = input[y * width + x];
+          if (value === 0) continue;
+
+          // Scatter this cell along the pass direction
+          for (let k = -radius; k <= radius; k++) {
+            const tx = horizontal ? x + k : x;
+            const ty = horizontal ? y : y + k;
+            if (tx < 0 || tx >= width || ty < 0 || ty >= height) continue;
+            output[ty * width + tx] += value * kernel[k + radius];
+          }
+        }
+      }
+      return output;
+    };
+
+    return pass(pass(field, true), false);
+  }
+
   /**
    * Generate contours from scalar field using d3-contour
    * @param {Float32Array} field - Scalar field data
-   * @param {Object} options - {width, height, levels}
+   * @param {Object} options - {width, height, levels, minSignificant, scale, maxValue, range};
+   *   width/height from getGrid(); scale 'relative' | 'absolute', where
+   *   absolute levels run from 0 to maxValue; range {min, max} overrides the
+   *   field's own range for relative levels (e.g. the visible part of a padded field)
    * @returns {Array} Array of contour objects
    */
   function generateContours(field, options = {}) {
-    const width = options.width || CONFIG.gridWidth;
-    const height = options.height || CONFIG.gridHeight;
+    const width = options.width || CONFIG.gridResolution;
+    const height = options.height || field.length / width;
     const numLevels = options.levels || CONFIG.contourLevels;
+    const minSignificant = options.minSignificant ?? 0.01;
+    const absolute = (options.scale || CONFIG.scale) === 'absolute';
 
     // Find field min/max for threshold calculation
-    let min = Infinity, max = -Infinity;
-    for (const val of field) {
-      if (val < min) min = val;
-      if (val > max) max = val;
+    let fieldMin = Infinity, fieldMax = -Infinity;
+    if (options.range) {
+      ({ min: fieldMin, max: fieldMax } = options.range);
+    } else {
+      for (const val of field) {
+        if (val < fieldMin) fieldMin = val;
+        if (val > fieldMax) fieldMax = val;
+      }
     }
 
     // Skip if no significant data
-    if (max < 0.01) {
+    if (fieldMax < minSignificant) {
       console.log('[ContourModule] No significant energy in field');
       return [];
     }
 
+    const min = absolute ? 0 : fieldMin;
+    const max = absolute ? (options.maxValue ?? CONFIG.absoluteMax[CONFIG.mode]) : fieldMax;
+
     // Generate threshold values (skip the lowest level for cleaner visuals)
     const thresholds = [];
     const step = (max - min) / (numLevels + 1);
@@ -124,8 +563,8 @@ const ContourModule = (() => {
       .size([width, height])
       .thresholds(thresholds);
 
-    // Generate contours
-    const contours = contourGenerator(field);
+    // Generate contours (fixed levels above the view's values stay empty)
+    const contours = contourGenerator(field).filter(contour => contour.coordinates.length > 0);
 
     // Add normalized value to each contour (0-1 range)
     contours.forEach(contour => {
@@ -136,16 +575,290 @@ const ContourModule = (() => {
     return contours;
   }
 
+  // =====================================================
+  // Geometry Post-processing
+  // =====================================================
+
+  /**
+   * Smooth and simplify contour rings (see CONFIG.filledBands)
+   * Rings too small to survive (fewer than 4 points once closed) are kept
+   * as they are, so no level loses a ring.
+   * @param {Array} contours - d3 contours in grid coordinates
+   * @param {number} pixelsPerCell - Screen pixels per grid cell (sets the tolerance)
+   * @returns {Array} New contours; the input is not modified
+   */
+  function refineContours(contours, pixelsPerCell) {
+    const tolerance = CONFIG.simplifyTolerance / (pixelsPerCell || 1);
+    const simplification = CONFIG.filledBands ? 'none' : CONFIG.simplification;
+
+    const refine = ring => {
+      let result = ring;
+      if (CONFIG.smoothing === 'chaikin') {
+        result = smoothChaikin(result, CONFIG.smoothingIterations);
+      } else if (CONFIG.smoothing === 'spline') {
+        result = smoothSpline(result, CONFIG.smoothingIterations + 1);
+      }
+      if (simplification === 'douglas-peucker') {
+        result = simplifyDouglasPeucker(result, tolerance);
+      } else if (simplification === 'visvalingam') {
+        result = simplifyVisvalingam(result, tolerance * tolerance);
+      }
+      return result.length >= 4 ? result : ring;
+    };
+
+    return contours.map(contour => ({
+      ...contour,
+      coordinates: contour.coordinates.map(polygon => polygon.map(refine))
+    }));
+  }
+
+  /**
+   * Open a closed ring (drop the repeated first point)
+   * @param {Array} ring - [[x, y], ...]
+   * @returns {Array}
+   */
+  function openRing(ring) {
+    const first = ring[0];
+    const last = ring[ring.length - 1];
+    return first[0] === last[0] && first[1] === last[1] ? ring.slice(0, -1) : ring;
+  }
+
+  /**
+   * Chaikin corner cutting: every pass replaces each edge by points at 1/4
+   * and 3/4 of it, converging to a quadratic B-spline inside the ring
+   * @param {Array} ring - Closed ring
+   * @param {number} iterations
+   * @returns {Array} Closed ring
+   */
+  function smoothChaikin(ring, iterations) {
+    let points = openRing(ring);
+    if (points.length < 3) return ring;
+
+    for (let pass = 0; pass < iterations; pass++) {
+      const next = [];
+      for (let i = 0; i < points.length; i++) {
+        const [x0, y0] = points[i];
+        const [x1, y1] = points[(i + 1) % points.length];
+        next.push(
+          [0.75 * x0 + 0.25 * x1, 0.75 * y0 + 0.25 * y1],
+          [0.25 * x0 + 0.75 * x1, 0.25 * y0 + 0.75 * y1]
+        );
+      }
+      points = next;
+    }
+
+    points.push(points[0]);
+    return points;
+  }
+
+  /**
+   * Closed Catmull-Rom spline through the ring's vertices
+   * @param {Array} ring - Closed ring
+   * @param {number} segments - Points per edge
+   * @returns {Array} Closed ring
+   */
+  function smoothSpline(ring, segments) {
+    const points = openRing(ring);
+    const n = points.length;
+    if (n < 3) return ring;
+
+    const result = [];
+    for (let i = 0; i < n; i++) {
+      const p0 = points[(i - 1 + n) % n];
+      const p1 = points[i];
+      const p2 = points[(i + 1) % n];
+      const p3 = points[(i + 2) % n];
+
+      for (let s = 0; s < segments; s++) {
+        const t = s / segments;
+        const t2 = t * t;
+        const t3 = t2 * t;
+        result.push([0, 1].map(k => 0.5 * (
+          2 * p1[k] +
+          (p2[k] - p0[k]) * t +
+          (2 * p0[k] - 5 * p1[k] + 4 * p2[k] - p3[k]) * t2 +
+          (3 * p1[k] - p0[k] - 3 * p2[k] + p3[k]) * t3
+        )));
+      }
+    }
+
+    result.push(result[0]);
+    return result;
+  }
+
+  /**
+   * Douglas–Peucker simplification of a closed ring
+   * The ring is split at its first vertex and the vertex farthest from it,
+   * and both halves are simplified as open lines.
+   * @param {Array} ring - Closed ring
+   * @param {number} tolerance - Maximum deviation (grid cells)
+   * @returns {Array} Closed ring
+   */
+  function simplifyDouglasPeucker(ring, tolerance) {
+    const points = openRing(ring);
+    const n = points.length;
+    if (n < 4 || !(tolerance > 0)) return ring;
+
+    let far = 0;
+    let farDistance = -1;
+    for (let i = 1; i < n; i++) {
+      const d = (points[i][0] - points[0][0]) ** 2 + (points[i][1] - points[0][1]) ** 2;
+      if (d > farDistance) {
+        far = i;
+        farDistance = d;
+      }
+    }
+
+    const closed = [...points, points[0]];
+    const keep = new Uint8Array(n + 1);
+    keep[0] = keep[far] = keep[n] = 1;
+
+    const toleranceSq = tolerance * tolerance;
+    const stack = [[0, far], [far, n]];
+    while (stack.length > 0) {
+      const [first, last] = stack.pop();
+      let index = -1;
+      let maxSq = toleranceSq;
+      for (let i = first + 1; i < last; i++) {
+        const d = segmentDistanceSq(closed[i], closed[first], closed[last]);
+        if (d > maxSq) {
+          index = i;
+          maxSq = d;
+        }
+      }
+      if (index !== -1) {
+        keep[index] = 1;
+        stack.push([first, index], [index, last]);
+      }
+    }
+
+    return closed.filter((_, i) => keep[i]);
+  }
+
+  /**
+   * Squared distance from a point to a segment
+   * @param {Array} p - [x, y]
+   * @param {Array} a - Segment start
+   * @param {Array} b - Segment end
+   * @returns {number}
+   */
+  function segmentDistanceSq(p, a, b) {
+    let [x, y] = a;
+    const dx = b[0] - x;
+    const dy = b[1] - y;
+    const lengthSq = dx * dx + dy * dy;
+
+    if (lengthSq > 0) {
+      const t = ((p[0] - x) * dx + (p[1] - y) * dy) / lengthSq;
+      if (t > 1) {
+        [x, y] = b;
+      } else if (t > 0) {
+        x += dx * t;
+        y += dy * t;
+      }
+    }
+
+    return (p[0] - x) ** 2 + (p[1] - y) ** 2;
+  }
+
+  /**
+   * Visvalingam–Whyatt simplification of a closed ring: repeatedly drop
+   * the vertex forming the smallest triangle with its neighbours
+   * @param {Array} ring - Closed ring
+   * @param {number} minArea - Triangles smaller than this (grid cells²) are removed
+   * @returns {Array} Closed ring
+   */
+  function simplifyVisvalingam(ring, minArea) {
+    const points = openRing(ring);
+    const n = points.length;
+    if (n < 4 || !(minArea > 0)) return ring;
+
+    const prev = new Int32Array(n);
+    const next = new Int32Array(n);
+    const area = new Float64Array(n);
+    const removed = new Uint8Array(n);
+    for (let i = 0; i < n; i++) {
+      prev[i] = (i - 1 + n) % n;
+      next[i] = (i + 1) % n;
+    }
+
+    const triangleArea = i => {
+      const [ax, ay] = points[prev[i]];
+      const [bx, by] = points[i];
+      const [cx, cy] = points[next[i]];
+      return Math.abs((bx - ax) * (cy - ay) - (cx - ax) * (by - ay)) / 2;
+    };
+
+    // Binary min-heap of [area, index]; stale entries are skipped on pop
+    const heap = [];
+    const push = entry => {
+      heap.push(entry);
+      let i = heap.length - 1;
+      while (i > 0) {
+        const parent = (i - 1) >> 1;
+        if (heap[parent][0] <= heap[i][0]) break;
+        [heap[parent], heap[i]] = [heap[i], heap[parent]];
+        i = parent;
+      }
+    };
+    const pop = () => {
+      const top = heap[0];
+      const last = heap.pop();
+      if (heap.length > 0) {
+        heap[0] = last;
+        let i = 0;
+        for (;;) {
+          const left = 2 * i + 1;
+          const right = left + 1;
+          let smallest = i;
+          if (left < heap.length && heap[left][0] < heap[smallest][0]) smallest = left;
+          if (right < heap.length && heap[right][0] < heap[smallest][0]) smallest = right;
+          if (smallest === i) break;
+          [heap[smallest], heap[i]] = [heap[i], heap[smallest]];
+          i = smallest;
+        }
+      }
+      return top;
+    };
+
+    for (let i = 0; i < n; i++) {
+      area[i] = triangleArea(i);
+      push([area[i], i]);
+    }
+
+    let remaining = n;
+    while (heap.length > 0 && remaining > 3) {
+      const [value, i] = pop();
+      if (removed[i] || value !== area[i]) continue;
+      if (value >= minArea) break;
+
+      removed[i] = 1;
+      remaining--;
+      next[prev[i]] = next[i];
+      prev[next[i]] = prev[i];
+
+      // Neighbours get new triangles (never smaller than the removed one,
+      // so the removal order stays monotonic)
+      [prev[i], next[i]].forEach(j => {
+        area[j] = Math.max(triangleArea(j), value);
+        push([area[j], j]);
+      });
+    }
+
+    const result = points.filter((_, i) => !removed[i]);
+    result.push(result[0]);
+    return result;
+  }
+
   /**
    * Transform contour coordinates from grid space to geographic coordinates
    * @param {Array} contours - Array of d3 contour objects
    * @param {Object} bounds - {south, west, north, east}
+   * @param {Object} [grid] - From getGrid(bounds)
    * @returns {Array} Transformed contours
    */
-  function transformToGeo(contours, bounds) {
-    const { gridWidth, gridHeight } = CONFIG;
-    const cellWidth = (bounds.east - bounds.west) / gridWidth;
-    const cellHeight = (bounds.north - bounds.south) / gridHeight;
+  function transformToGeo(contours, bounds, grid = getGrid(bounds)) {
+    const { cellWidth, cellHeight } = grid;
 
     return contours.map(contour => ({
       ...contour,
@@ -164,10 +877,11 @@ const ContourModule = (() => {
    * Transform contour coordinates from grid space to pixel coordinates
    * @param {Array} contours - Array of d3 contour objects
    * @param {Object} pixelBounds - {left, top, width, height}
+   * @param {Object} grid - {width, height} from getGrid()
    * @returns {Array} Transformed contours with pixel coordinates
    */
-  function transformToPixels(contours, pixelBounds) {
-    const { gridWidth, gridHeight } = CONFIG;
+  function transformToPixels(contours, pixelBounds, grid) {
+    const { width: gridWidth, height: gridHeight } = grid;
     const scaleX = pixelBounds.width / gridWidth;
     const scaleY = pixelBounds.height / gridHeight;
 
@@ -185,40 +899,259 @@ const ContourModule = (() => {
   }
 
   /**
-   * Main entry point: generate contours from resources
+   * Main entry point: generate contours from resources (synchronous)
    * @param {Array} resources - Resource objects
    * @param {Object} bounds - Geographic bounds {south, west, north, east}
    * @param {Object} pixelBounds - Pixel bounds {left, top, width, height}
-   * @returns {Object} {contours, field, stats}
+   * @param {Object} [options] - See compute()
+   * @returns {Object} See compute()
    */
-  function process(resources, bounds, pixelBounds) {
-    console.log(`[ContourModule] Processing ${resources.length} resources`);
+  function process(resources, bounds, pixelBounds, options = {}) {
+    return compute(packResources(resources), bounds, pixelBounds, options);
+  }
+
+  /**
+   * Run the full pipeline on packed points (shared by main thread and worker)
+   * @param {Float64Array} points - From packResources()
+   * @param {Object} bounds - Geographic bounds {south, west, north, east}
+   * @param {Object} pixelBounds - Pixel bounds {left, top, width, height}
+   * @param {Object} [options] - {margin: meters (default: largest cutoff of the
+   *   points), population: Float32Array per cell of
+   *   getPaddedGrid(bounds, margin, getGrid(bounds, pixelBounds, margin))}
+   * @returns {Object} {contours (coordinates in contourGrid cells; see
+   *   transformToGeo), field, energy (energy field; the same array as field in energy mode),
+   *   grid, population (cropped to the view, or null), contourBounds,
+   *   contourGrid (padded grid the contours' coordinates refer to),
+   *   contourField (field on that grid), stats}
+   */
+  function compute(points, bounds, pixelBounds, options = {}) {
+    const resourceCount = points.length / POINT_STRIDE;
+    console.log(`[ContourModule] Processing ${resourceCount} resources`);
 
     const startTime = performance.now();
 
-    // Step 1: Generate scalar field
-    const field = generateScalarField(resources, bounds);
+    // Step 1: Generate scalar field on a metric grid padded past the view
+    // (cell size follows the viewport's pixels and the quality level)
+    const margin = options.margin ?? getPointsMargin(points);
+    const grid = getGrid(bounds, pixelBounds, margin);
+    const padded = getPaddedGrid(bounds, margin, grid);
+    const population = options.population || null;
+    let paddedField;
+    if (CONFIG.mode === '2sfca') {
+      paddedField = computeAccessibility(points, padded.bounds, padded.grid, population);
+    } else if (CONFIG.mode === 'deficit') {
+      paddedField = computeDeficit(points, padded.bounds, padded.grid, population);
+    } else {
+      paddedField = computeField(points, padded.bounds, padded.grid);
+    }
+    const field = cropField(paddedField, padded, grid);
+
+    // Silent valleys are defined on the energy field whatever the mode, so
+    // it is returned on the same grid (computed here, off the main thread)
+    const energy = CONFIG.mode === 'energy'
+      ? field
+      : cropField(computeField(points, padded.bounds, padded.grid), padded, grid);
 
-    // Step 2: Generate contours
-    const contours = generateContours(field);
+    // Step 2: Generate contours on the padded field, with levels from the
+    // visible part (population-based scores can be tiny but still meaningful)
+    let min = Infinity, max = -Infinity;
+    for (const val of field) {
+      if (val < min) min = val;
+      if (val > max) max = val;
+    }
+    const levels = generateContours(paddedField, {
+      ...padded.grid,
+      range: { min, max },
+      minSignificant: CONFIG.mode === 'energy' ? undefined : Number.MIN_VALUE,
+      scale: CONFIG.scale,
+      maxValue: CONFIG.absoluteMax[CONFIG.mode]
+    });
 
-    // Step 3: Transform to pixel coordinates
-    const pixelContours = transformToPixels(contours, pixelBounds);
+    // Step 3: Smooth the marching-squares staircases and drop redundant
+    // vertices, with the tolerance measured in screen pixels
+    const scaleX = pixelBounds.width / grid.width;
+    const scaleY = pixelBounds.height / grid.height;
+    const contours = refineContours(levels, Math.max(scaleX, scaleY));
 
     const elapsed = performance.now() - startTime;
     console.log(`[ContourModule] Processing completed in ${elapsed.toFixed(1)}ms`);
 
     return {
-      contours: pixelContours,
+      contours,
       field,
+      grid,
+      population: population && cropField(population, padded, grid),
+      contourBounds: padded.bounds,
+      contourGrid: padded.grid,
+      contourField: paddedField,
+      energy,
       stats: {
-        resourceCount: resources.length,
+        mode: CONFIG.mode,
+        decay: CONFIG.decay,
+        scale: CONFIG.scale,
+        padding: padded.pad,
+        resourceCount,
         contourLevels: contours.length,
         processingTime: elapsed
       }
     };
   }
 
+  // =====================================================
+  // Background Worker
+  // =====================================================
+
+  /**
+   * Get (or lazily start) the contour worker
+   * @returns {Worker|null} Null when workers are unavailable
+   */
+  function getWorker() {
+    if (workerFailed || typeof Worker === 'undefined') return null;
+    if (worker) return worker;
+
+    try {
+      worker = new Worker(getWorkerUrl());
+      worker.onmessage = handleWorkerMessage;
+      worker.onerror = handleWorkerError;
+    } catch (e) {
+      // e.g. SecurityError when opened from file://
+      console.warn('[ContourModule] Web Worker unavailable, using main thread:', e.message);
+      workerFailed = true;
+      worker = null;
+    }
+    return worker;
+  }
+
+  /**
+   * Worker script URL carrying the page's library URLs (?lib=...)
+   * @returns {string}
+   */
+  function getWorkerUrl() {
+    const url = new URL(CONFIG.workerUrl, document.baseURI);
+    CONFIG.workerLibraries.forEach(name => {
+      const script = document.querySelector(`script[src*="${name}"]`);
+      if (script) {
+        url.searchParams.append('lib', script.src);
+      } else {
+        console.warn(`[ContourModule] No <script> for ${name}; the worker will fall back to the main thread`);
+      }
+    });
+    return url.href;
+  }
+
+  /**
+   * Receive a finished job from the worker
+   * @param {MessageEvent} event - data: {id, result}
+   */
+  function handleWorkerMessage(event) {
+    const { id, result } = event.data;
+    if (!pendingJob || pendingJob.id !== id) return;  // superseded
+
+    const { resolve } = pendingJob;
+    pendingJob = null;
+    resolve(result);
+  }
+
+  /**
+   * Worker failed (script or d3 failed to load, or crashed):
+   * disable it and finish the pending job on the main thread
+   * @param {ErrorEvent} event
+   */
+  function handleWorkerError(event) {
+    event.preventDefault();
+    console.warn('[ContourModule] Worker error, falling back to main thread:', event.message);
+
+    workerFailed = true;
+    worker.terminate();
+    worker = null;
+
+    if (pendingJob) {
+      const { resolve, args } = pendingJob;
+      pendingJob = null;
+      resolve(process(...args));
+    }
+  }
+
+  /**
+   * Generate contours off the main thread
+   * Starting a new job cancels the previous one; its promise resolves to null.
+   * @param {Array} resources - Resource objects
+   * @param {Object} bounds - Geographic bounds {south, west, north, east}
+   * @param {Object} pixelBounds - Pixel bounds {left, top, width, height}
+   * @param {Object} [options] - See process()
+   * @returns {Promise<Object|null>} {contours, field, grid, stats}, or null if superseded
+   */
+  function processAsync(resources, bounds, pixelBounds, options = {}) {
+    cancel();
+
+    const target = getWorker();
+    if (!target) {
+      return Promise.resolve(process(resources, bounds, pixelBounds, options));
+    }
+
+    const points = packResources(resources);
+    const id = ++jobCounter;
+
+    return new Promise(resolve => {
+      pendingJob = { id, resolve, args: [resources, bounds, pixelBounds, options] };
+      target.postMessage({ type: 'compute', id, points, bounds, pixelBounds, options, config: CONFIG }, [points.buffer]);
+    });
+  }
+
+  /**
+   * Cancel the in-flight worker job, if any
+   * The worker is kept (restarting it would load its scripts again). A job
+   * it has already started runs to the end and its result is ignored; a
+   * job still queued behind it is skipped.
+   * @returns {boolean} True if a job was cancelled
+   */
+  function cancel() {
+    if (!pendingJob) return false;
+
+    const { id, resolve } = pendingJob;
+    pendingJob = null;
+    if (worker) {
+      worker.postMessage({ type: 'cancel', id });
+    }
+    resolve(null);
+    return true;
+  }
+
+  /**
+   * Calibrate the absolute color scale of a field model from a field,
+   * e.g. once for a representative view of the region of interest
+   * @param {Float32Array} field - From a previous compute() in that mode
+   * @param {string} [mode] - Field model the field belongs to
+   * @returns {number|null} New absoluteMax for the mode, or null if the field is empty
+   */
+  function calibrateScale(field, mode = CONFIG.mode) {
+    const values = Float32Array.from(field.filter(value => value > 0)).sort();
+    if (values.length === 0) return null;
+
+    const index = Math.min(values.length - 1, Math.floor(values.length * CONFIG.calibrationQuantile));
+    const value = Number(values[index].toPrecision(3));
+    CONFIG.absoluteMax = { ...CONFIG.absoluteMax, [mode]: value };
+
+    console.log(`[ContourModule] Calibrated ${mode} scale to ${value}`);
+    return value;
+  }
+
+  /**
+   * List available distance-decay model ids
+   * @returns {Array<string>}
+   */
+  function getDecayModels() {
+    return Object.keys(DECAY_MODELS);
+  }
+
+  /**
+   * List available field model ids
+   * @returns {Array<string>}
+   */
+  function getModes() {
+    return [...FIELD_MODES];
+  }
+
   /**
    * Get configuration (for debugging)
    */
@@ -237,10 +1170,27 @@ const ContourModule = (() => {
   // Public API
   return {
     process,
+    processAsync,
+    cancel,
+    compute,
+    packResources,
+    computeField,
+    computeAccessibility,
+    computeDeficit,
+    blurField,
+    computeHillshade,
+    getGrid,
+    getMargin,
+    getPaddedGrid,
+    cropField,
     generateScalarField,
     generateContours,
+    refineContours,
     transformToGeo,
     transformToPixels,
+    getDecayModels,
+    getModes,
+    calibrateScale,
     getConfig,
     updateConfig
   };
@@ -0,0 +1,56 @@
+/**
+ * contour.worker.js - Background Contour Generation
+ * 關懷地景 The Topography of Care
+ *
+ * Runs ContourModule's field + contour pipeline off the main thread.
+ * Receives packed points (see ContourModule.packResources) plus an optional
+ * population grid for 2SFCA, and returns pixel-space contours; the scalar
+ * field buffers are transferred back.
+ *
+ * d3 is loaded from the URLs the page used (?lib=..., see
+ * ContourModule.getWorkerUrl), so it comes from the browser cache.
+ */
+
+importScripts(
+  ...new URLSearchParams(self.location.search).getAll('lib'),
+  'contour.js'
+);
+
+// Jobs up to this id were cancelled by the main thread
+let cancelledId = 0;
+
+// Most recent job received; older queued jobs are superseded by it
+let latestId = 0;
+
+self.onmessage = (event) => {
+  const { type, id } = event.data;
+
+  if (type === 'cancel') {
+    cancelledId = Math.max(cancelledId, id);
+    return;
+  }
+
+  // Defer behind the messages already waiting, so a cancel or a newer job
+  // that arrived while the previous job was running can be handled first
+  latestId = Math.max(latestId, id);
+  setTimeout(() => {
+    if (id <= cancelledId || id !== latestId) return;
+    run(event.data);
+  }, 0);
+};
+
+/**
+ * Compute one job and send its result back
+ * @param {Object} job - {id, points, bounds, pixelBounds, options, config}
+ */
+function run({ id, points, bounds, pixelBounds, options, config }) {
+  // Keep grid size, levels etc. in sync with the main thread
+  const { workerUrl, workerLibraries, ...pipelineConfig } = config;
+  ContourModule.updateConfig(pipelineConfig);
+
+  const result = ContourModule.compute(points, bounds, pixelBounds, options);
+
+  // Fields may share buffers (no padding, or energy mode)
+  const transfer = new Set([result.field.buffer, result.contourField.buffer, result.energy.buffer]);
+  self.postMessage({ id, result }, [...transfer]);
+}
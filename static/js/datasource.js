@@ -0,0 +1,158 @@
+/**
+ * datasource.js - Pluggable Resource Data Sources
+ * 關懷地景 The Topography of Care
+ *
+ * A data source is any object implementing:
+ *   { id, label, fetchResources(bbox) => Promise<Array> }
+ * returning the resource objects produced by OverpassModule.parseElements.
+ * The app only talks to the active source, so the contour pipeline does
+ * not care whether data comes from Overpass or a local file.
+ *
+ * Supplements are secondary datasets (e.g. government registries) whose
+ * resources are merged into whatever the active source returns.
+ */
+
+const DataSourceModule = (() => {
+  // Registered providers: id -> provider
+  const providers = new Map();
+
+  // Supplementary datasets: id -> {id, label, fetchResources(bbox), merge?(primary, extra)}
+  const supplements = new Map();
+
+  // Currently active provider id
+  let activeId = null;
+
+  /**
+   * Built-in provider: live OpenStreetMap data via Overpass API
+   */
+  const overpassProvider = {
+    id: 'overpass',
+    label: 'OpenStreetMap（線上）',
+    fetchResources: bbox => OverpassModule.fetchResources(bbox)
+  };
+
+  /**
+   * Initialize with the built-in Overpass provider active
+   */
+  function init() {
+    register(overpassProvider);
+    if (!activeId) activeId = overpassProvider.id;
+    console.log('[DataSourceModule] Initialized, active source:', activeId);
+  }
+
+  /**
+   * Register a data source
+   * @param {Object} provider - {id, label, fetchResources(bbox)}
+   */
+  function register(provider) {
+    if (!provider || typeof provider.id !== 'string' ||
+        typeof provider.fetchResources !== 'function') {
+      throw new TypeError('Data source must have an id and fetchResources(bbox)');
+    }
+    providers.set(provider.id, provider);
+  }
+
+  /**
+   * Switch the active data source
+   * @param {string} id - Registered provider id
+   * @returns {boolean} True if the source changed
+   */
+  function setActive(id) {
+    if (!providers.has(id)) {
+      console.warn('[DataSourceModule] Unknown data source:', id);
+      return false;
+    }
+    if (id === activeId) return false;
+
+    activeId = id;
+    notifyChange();
+
+    console.log('[DataSourceModule] Switched to source:', id);
+    return true;
+  }
+
+  /**
+   * Add (or replace) a supplementary dataset merged into every fetch
+   * @param {Object} supplement - {id, label, fetchResources(bbox), merge?(primary, extra)}
+   *   merge defaults to concatenation
+   */
+  function addSupplement(supplement) {
+    if (!supplement || typeof supplement.id !== 'string' ||
+        typeof supplement.fetchResources !== 'function') {
+      throw new TypeError('Supplement must have an id and fetchResources(bbox)');
+    }
+    supplements.set(supplement.id, supplement);
+    notifyChange();
+  }
+
+  /**
+   * Remove a supplementary dataset
+   * @param {string} id
+   * @returns {boolean} True if a supplement was removed
+   */
+  function removeSupplement(id) {
+    if (!supplements.delete(id)) return false;
+    notifyChange();
+    return true;
+  }
+
+  /**
+   * Tell listeners that fetched data would now differ
+   */
+  function notifyChange() {
+    document.dispatchEvent(new CustomEvent('datasource:change', {
+      detail: { id: activeId, supplements: Array.from(supplements.keys()) }
+    }));
+  }
+
+  /**
+   * Get the active provider
+   * @returns {Object|null}
+   */
+  function getActive() {
+    return providers.get(activeId) || null;
+  }
+
+  /**
+   * List registered providers
+   * @returns {Array<{id: string, label: string}>}
+   */
+  function list() {
+    return Array.from(providers.values()).map(({ id, label }) => ({ id, label }));
+  }
+
+  /**
+   * Fetch resources from the active source, merged with all supplements
+   * @param {string} bbox - "south,west,north,east"
+   * @returns {Promise<Array>}
+   */
+  async function fetchResources(bbox) {
+    const provider = getActive();
+    if (!provider) {
+      throw new Error('No active data source');
+    }
+
+    let resources = await provider.fetchResources(bbox);
+
+    for (const supplement of supplements.values()) {
+      const extra = await supplement.fetchResources(bbox);
+      resources = typeof supplement.merge === 'function'
+        ? supplement.merge(resources, extra)
+        : resources.concat(extra);
+    }
+
+    return resources;
+  }
+
+  // Public API
+  return {
+    init,
+    register,
+    setActive,
+    getActive,
+    list,
+    addSupplement,
+    removeSupplement,
+    fetchResources
+  };
+})();
@@ -0,0 +1,206 @@
+/**
+ * export.js - GeoJSON Export
+ * 關懷地景 The Topography of Care
+ *
+ * Turns the current view (contour levels, silent valleys, filtered
+ * resources and the viewport) into GeoJSON FeatureCollections and
+ * downloads them from the browser, e.g. for further analysis in QGIS.
+ * All coordinates are WGS84 [lng, lat] as required by RFC 7946.
+ */
+
+const ExportModule = (() => {
+  // Configuration
+  const CONFIG = {
+    filePrefix: 'topography-care',
+    precision: 6  // Decimal places (~0.1 m)
+  };
+
+  /**
+   * Round a coordinate pair
+   * @param {Array<number>} coord - [lng, lat]
+   * @returns {Array<number>}
+   */
+  function roundCoord([lng, lat]) {
+    const factor = Math.pow(10, CONFIG.precision);
+    return [Math.round(lng * factor) / factor, Math.round(lat * factor) / factor];
+  }
+
+  /**
+   * Round all coordinates of MultiPolygon coordinates
+   * @param {Array} coordinates
+   * @returns {Array}
+   */
+  function roundMultiPolygon(coordinates) {
+    return coordinates.map(polygon => polygon.map(ring => ring.map(roundCoord)));
+  }
+
+  /**
+   * GeoJSON bbox member from bounds
+   * @param {Object} bounds - {south, west, north, east}
+   * @returns {Array<number>} [west, south, east, north]
+   */
+  function toBbox(bounds) {
+    return [bounds.west, bounds.south, bounds.east, bounds.north];
+  }
+
+  /**
+   * Contour levels as MultiPolygons
+   * @param {Array} contours - Contours in geographic coordinates (ContourModule.transformToGeo)
+   * @param {Object} bounds - Bounds the contours were computed for
+   * @param {Object} [meta] - Extra properties for every feature (e.g. {mode, decay})
+   * @returns {Object} FeatureCollection
+   */
+  function contoursToGeoJSON(contours, bounds, meta = {}) {
+    return {
+      type: 'FeatureCollection',
+      bbox: toBbox(bounds),
+      features: contours.map((contour, level) => ({
+        type: 'Feature',
+        properties: {
+          level,
+          value: contour.value,
+          normalizedValue: contour.normalizedValue,
+          ...meta
+        },
+        geometry: {
+          type: 'MultiPolygon',
+          coordinates: roundMultiPolygon(contour.coordinates)
+        }
+      }))
+    };
+  }
+
+  /**
+   * Resources as Points; OSM tags are flattened as "tag:<key>" properties
+   * @param {Array} resources
+   * @returns {Object} FeatureCollection
+   */
+  function resourcesToGeoJSON(resources) {
+    return {
+      type: 'FeatureCollection',
+      features: resources.map(resource => {
+        const properties = {
+          id: resource.id,
+          osm_type: resource.osmType || null,
+          source: (resource.sources || [resource.source || 'osm']).join(','),
+          type: resource.type,
+          type_label: ResourceTypeModule.getLabel(resource.type),
+          name: resource.name || null,
+          address: resource.address || null
+        };
+        Object.entries(resource.tags || {}).forEach(([key, value]) => {
+          properties[`tag:${key}`] = value;
+        });
+
+        return {
+          type: 'Feature',
+          properties,
+          geometry: { type: 'Point', coordinates: roundCoord([resource.lng, resource.lat]) }
+        };
+      })
+    };
+  }
+
+  /**
+   * Silent valleys as MultiPolygons
+   * @param {Array} valleys - From ValleyModule.detect()
+   * @returns {Object} FeatureCollection
+   */
+  function valleysToGeoJSON(valleys) {
+    return {
+      type: 'FeatureCollection',
+      features: valleys.map(valley => ({
+        type: 'Feature',
+        properties: {
+          rank: valley.rank,
+          area_m2: Math.round(valley.area),
+          population: valley.population === null ? null : Math.round(valley.population),
+          mean_energy: valley.meanEnergy,
+          open: valley.open,
+          centroid_lat: valley.centroid.lat,
+          centroid_lng: valley.centroid.lng
+        },
+        geometry: {
+          type: 'MultiPolygon',
+          coordinates: roundMultiPolygon(valley.geometry.coordinates)
+        }
+      }))
+    };
+  }
+
+  /**
+   * Viewport bounds as a Polygon
+   * @param {Object} bounds - {south, west, north, east}
+   * @param {Object} [meta] - Extra properties (e.g. {zoom, mode})
+   * @returns {Object} FeatureCollection
+   */
+  function boundsToGeoJSON(bounds, meta = {}) {
+    const { south, west, north, east } = bounds;
+
+    return {
+      type: 'FeatureCollection',
+      bbox: toBbox(bounds),
+      features: [{
+        type: 'Feature',
+        properties: { south, west, north, east, ...meta },
+        geometry: {
+          type: 'Polygon',
+          coordinates: [[
+            [west, south], [east, south], [east, north], [west, north], [west, south]
+          ].map(roundCoord)]
+        }
+      }]
+    };
+  }
+
+  /**
+   * Build a timestamped file name
+   * @param {string} layer - e.g. "contours"
+   * @param {string} [extension]
+   * @returns {string}
+   */
+  function fileName(layer, extension = 'geojson') {
+    const stamp = new Date().toISOString().slice(0, 16).replace(/[-:]/g, '').replace('T', '-');
+    return `${CONFIG.filePrefix}-${layer}-${stamp}.${extension}`;
+  }
+
+  /**
+   * Download a Blob under a file name
+   * @param {Blob} blob
+   * @param {string} name
+   */
+  function downloadBlob(blob, name) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = name;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    // Give the browser a moment to start the download
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  /**
+   * Download a GeoJSON object
+   * @param {Object} geojson
+   * @param {string} layer - Used in the file name
+   */
+  function download(geojson, layer) {
+    const blob = new Blob([JSON.stringify(geojson)], { type: 'application/geo+json' });
+    downloadBlob(blob, fileName(layer));
+    console.log(`[ExportModule] Exported ${geojson.features.length} ${layer} features`);
+  }
+
+  // Public API
+  return {
+    contoursToGeoJSON,
+    resourcesToGeoJSON,
+    valleysToGeoJSON,
+    boundsToGeoJSON,
+    fileName,
+    downloadBlob,
+    download
+  };
+})();
@@ -0,0 +1,471 @@
+/**
+ * filesource.js - Local File Data Source (GeoJSON / CSV / OSM XML)
+ * 關懷地景 The Topography of Care
+ *
+ * Parses local files into Overpass-style elements and runs them through
+ * OverpassModule.parseElements, so file data gets exactly the same
+ * validation and resource shape as live OSM data. Nothing here touches
+ * the network: once a file is loaded the whole pipeline works offline.
+ */
+
+const FileSourceModule = (() => {
+  // Configuration
+  const CONFIG = {
+    maxFileSize: 50 * 1024 * 1024,  // 50 MB per file
+    maxTagLength: 500,              // Truncate long property values
+
+    // CSV header aliases (compared lower-cased, trimmed)
+    csvColumns: {
+      lat: ['lat', 'latitude', 'y', '緯度', '纬度'],
+      lng: ['lng', 'lon', 'long', 'longitude', 'x', '經度', '经度'],
+      name: ['name', '名稱', '名称', '機構名稱'],
+      type: ['type', 'category', '類型', '類別']
+    }
+  };
+
+  // Loaded resources (all files merged)
+  let resources = [];
+
+  // Loaded file summaries: [{name, format, count}]
+  let files = [];
+
+  // File name -> its resources; loading a file again replaces them
+  const fileResources = new Map();
+
+  // Synthetic ids for features without an OSM id
+  let nextId = 1;
+
+  /**
+   * Data source provider (see DataSourceModule)
+   */
+  const provider = {
+    id: 'file',
+    label: '本機檔案（離線）',
+    fetchResources
+  };
+
+  /**
+   * Return loaded resources inside a bbox
+   * @param {string} bbox - "south,west,north,east"
+   * @returns {Promise<Array>}
+   */
+  async function fetchResources(bbox) {
+    const [south, west, north, east] = bbox.split(',').map(parseFloat);
+    return resources.filter(r =>
+      r.lat >= south && r.lat <= north && r.lng >= west && r.lng <= east
+    );
+  }
+
+  /**
+   * Load one or more files, adding their resources to the source
+   * A file with the same name as an earlier one replaces it.
+   * @param {FileList|Array<File>} fileList
+   * @returns {Promise<{loaded: Array, errors: Array}>} Per-file results
+   */
+  async function loadFiles(fileList) {
+    const loaded = [];
+    const errors = [];
+
+    for (const file of Array.from(fileList)) {
+      try {
+        if (file.size > CONFIG.maxFileSize) {
+          throw new Error('檔案過大');
+        }
+
+        const text = await file.text();
+        const format = detectFormat(file.name, text);
+        const parsed = parseText(text, format);
+
+        if (parsed.length === 0) {
+          throw new Error('找不到可辨識的資源點');
+        }
+
+        fileResources.set(file.name, parsed);
+        resources = Array.from(fileResources.values()).flat();
+        const summary = { name: file.name, format, count: parsed.length };
+        files = files.filter(f => f.name !== file.name).concat(summary);
+        loaded.push(summary);
+
+        console.log(`[FileSourceModule] Loaded ${parsed.length} resources from ${file.name} (${format})`);
+      } catch (error) {
+        console.warn(`[FileSourceModule] Failed to load ${file.name}:`, error.message);
+        errors.push({ name: file.name, message: error.message });
+      }
+    }
+
+    return { loaded, errors };
+  }
+
+  /**
+   * Detect file format from extension, falling back to content sniffing
+   * @param {string} filename
+   * @param {string} text
+   * @returns {string} 'geojson' | 'csv' | 'osm'
+   */
+  function detectFormat(filename, text) {
+    const ext = filename.toLowerCase().split('.').pop();
+    if (ext === 'geojson' || ext === 'json') return 'geojson';
+    if (ext === 'csv' || ext === 'tsv' || ext === 'txt') return 'csv';
+    if (ext === 'osm' || ext === 'xml') return 'osm';
+
+    const head = text.trimStart().slice(0, 100);
+    if (head.startsWith('{')) return 'geojson';
+    if (head.startsWith('<')) return 'osm';
+    return 'csv';
+  }
+
+  /**
+   * Parse file text into resources
+   * @param {string} text
+   * @param {string} format - 'geojson' | 'csv' | 'osm'
+   * @returns {Array} Resource objects
+   */
+  function parseText(text, format) {
+    switch (format) {
+      case 'geojson': return parseGeoJSON(text);
+      case 'csv': return parseCSV(text);
+      case 'osm': return parseOSMXML(text);
+      default: throw new Error(`不支援的格式：${format}`);
+    }
+  }
+
+  // =====================================================
+  // GeoJSON
+  // =====================================================
+
+  /**
+   * Parse GeoJSON (FeatureCollection, Feature or bare geometry)
+   * Non-point geometries are reduced to the mean of their vertices.
+   * @param {string} text
+   * @returns {Array}
+   */
+  function parseGeoJSON(text) {
+    let json;
+    try {
+      json = JSON.parse(text);
+    } catch (e) {
+      throw new Error('GeoJSON 格式錯誤');
+    }
+
+    const features = json.type === 'FeatureCollection' ? json.features
+      : json.type === 'Feature' ? [json]
+      : [{ type: 'Feature', geometry: json, properties: {} }];
+
+    if (!Array.isArray(features)) {
+      throw new Error('GeoJSON 缺少 features');
+    }
+
+    const elements = [];
+    const osmElements = [];
+
+    features.forEach(feature => {
+      const center = geometryCenter(feature?.geometry);
+      if (!center) return;
+
+      const properties = feature.properties || {};
+      const tags = toTags(properties.tags && typeof properties.tags === 'object'
+        ? { ...properties, ...properties.tags }
+        : properties);
+      const osmRef = parseOsmRef(properties['@id'] ?? properties.id ?? feature.id);
+
+      const element = {
+        type: osmRef ? osmRef.type : 'node',
+        id: osmRef ? osmRef.id : nextId++,
+        lat: center.lat,
+        lon: center.lng,
+        tags,
+        resourceType: tags.type || tags.category
+      };
+
+      (osmRef ? osmElements : elements).push(element);
+    });
+
+    return OverpassModule.parseElements(osmElements, { source: 'osm' })
+      .concat(OverpassModule.parseElements(elements, { source: 'file' }));
+  }
+
+  /**
+   * Representative point of a GeoJSON geometry
+   * @param {Object} geometry
+   * @returns {{lat: number, lng: number}|null}
+   */
+  function geometryCenter(geometry) {
+    if (!geometry || !geometry.coordinates) return null;
+
+    if (geometry.type === 'Point') {
+      const [lng, lat] = geometry.coordinates;
+      return { lat, lng };
+    }
+
+    // Flatten nested coordinate arrays down to positions
+    const positions = [];
+    (function collect(coords) {
+      if (typeof coords[0] === 'number') {
+        positions.push(coords);
+      } else {
+        coords.forEach(collect);
+      }
+    })(geometry.coordinates);
+
+    if (positions.length === 0) return null;
+
+    const sum = positions.reduce((acc, [lng, lat]) => [acc[0] + lng, acc[1] + lat], [0, 0]);
+    return { lat: sum[1] / positions.length, lng: sum[0] / positions.length };
+  }
+
+  /**
+   * Parse OSM references like "node/123" (overpass turbo exports)
+   * @param {*} value
+   * @returns {{type: string, id: number}|null}
+   */
+  function parseOsmRef(value) {
+    if (typeof value !== 'string') return null;
+    const match = value.match(/^(node|way|relation)\/(\d+)$/);
+    return match ? { type: match[1], id: parseInt(match[2], 10) } : null;
+  }
+
+  // =====================================================
+  // CSV
+  // =====================================================
+
+  /**
+   * Parse CSV with latitude/longitude columns
+   * Every column becomes a tag, so OSM-style columns (amenity, ...) classify
+   * rows; otherwise a type/category column naming a resource type is used.
+   * @param {string} text
+   * @returns {Array}
+   */
+  function parseCSV(text) {
+    const rows = parseCSVRows(text);
+    if (rows.length < 2) {
+      throw new Error('CSV 沒有資料列');
+    }
+
+    const header = rows[0].map(h => h.trim());
+    const latCol = findColumn(header, CONFIG.csvColumns.lat);
+    const lngCol = findColumn(header, CONFIG.csvColumns.lng);
+    const nameCol = findColumn(header, CONFIG.csvColumns.name);
+    const typeCol = findColumn(header, CONFIG.csvColumns.type);
+
+    if (latCol < 0 || lngCol < 0) {
+      throw new Error('CSV 缺少經緯度欄位（lat/lng）');
+    }
+
+    const elements = rows.slice(1).map(row => {
+      const record = {};
+      header.forEach((key, i) => {
+        if (key && row[i] !== undefined && row[i] !== '') record[key] = row[i];
+      });
+
+      const tags = toTags(record);
+      if (nameCol >= 0 && row[nameCol]) tags.name = tags.name || row[nameCol].trim();
+
+      return {
+        type: 'node',
+        id: nextId++,
+        lat: parseFloat(row[latCol]),
+        lon: parseFloat(row[lngCol]),
+        tags,
+        resourceType: typeCol >= 0 ? (row[typeCol] || '').trim() : undefined
+      };
+    });
+
+    return OverpassModule.parseElements(elements, { source: 'file' });
+  }
+
+  /**
+   * Split CSV text into rows of fields (RFC 4180 quoting, comma or tab)
+   * @param {string} text
+   * @returns {Array<Array<string>>}
+   */
+  function parseCSVRows(text) {
+    const input = text.replace(/^\uFEFF/, '');
+    const lineEnd = input.indexOf('\n');
+    const firstLine = lineEnd >= 0 ? input.slice(0, lineEnd) : input;
+    const delimiter = firstLine.includes('\t') && !firstLine.includes(',') ? '\t' : ',';
+
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < input.length; i++) {
+      const ch = input[i];
+
+      if (quoted) {
+        if (ch === '"' && input[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (ch === '"') {
+          quoted = false;
+        } else {
+          field += ch;
+        }
+      } else if (ch === '"') {
+        quoted = true;
+      } else if (ch === delimiter) {
+        row.push(field);
+        field = '';
+      } else if (ch === '\n' || ch === '\r') {
+        if (ch === '\r' && input[i + 1] === '\n') i++;
+        row.push(field);
+        if (row.some(f => f !== '')) rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += ch;
+      }
+    }
+
+    row.push(field);
+    if (row.some(f => f !== '')) rows.push(row);
+
+    return rows;
+  }
+
+  /**
+   * Find a column index by aliases
+   * @param {Array<string>} header
+   * @param {Array<string>} aliases
+   * @returns {number} Index or -1
+   */
+  function findColumn(header, aliases) {
+    return header.findIndex(h => aliases.includes(h.toLowerCase()));
+  }
+
+  // =====================================================
+  // OSM XML
+  // =====================================================
+
+  /**
+   * Parse raw OSM XML (JOSM / overpass `out xml` / planet extracts)
+   * Ways use their <center> if present, otherwise the mean of their nodes.
+   * @param {string} text
+   * @returns {Array}
+   */
+  function parseOSMXML(text) {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length > 0) {
+      throw new Error('OSM XML 格式錯誤');
+    }
+
+    const readTags = el => {
+      const tags = {};
+      Array.from(el.getElementsByTagName('tag')).forEach(tag => {
+        tags[tag.getAttribute('k')] = tag.getAttribute('v');
+      });
+      return toTags(tags);
+    };
+
+    // All node coordinates (needed to locate ways)
+    const nodeCoords = new Map();
+    const elements = [];
+
+    Array.from(doc.getElementsByTagName('node')).forEach(node => {
+      const id = node.getAttribute('id');
+      const lat = parseFloat(node.getAttribute('lat'));
+      const lon = parseFloat(node.getAttribute('lon'));
+      nodeCoords.set(id, [lat, lon]);
+
+      if (node.getElementsByTagName('tag').length > 0) {
+        elements.push({ type: 'node', id, lat, lon, tags: readTags(node) });
+      }
+    });
+
+    ['way', 'relation'].forEach(kind => {
+      Array.from(doc.getElementsByTagName(kind)).forEach(el => {
+        const center = el.getElementsByTagName('center')[0];
+        let lat;
+        let lon;
+
+        if (center) {
+          lat = parseFloat(center.getAttribute('lat'));
+          lon = parseFloat(center.getAttribute('lon'));
+        } else if (kind === 'way') {
+          const coords = Array.from(el.getElementsByTagName('nd'))
+            .map(nd => nodeCoords.get(nd.getAttribute('ref')))
+            .filter(Boolean);
+          if (coords.length === 0) return;
+          lat = coords.reduce((sum, c) => sum + c[0], 0) / coords.length;
+          lon = coords.reduce((sum, c) => sum + c[1], 0) / coords.length;
+        } else {
+          return;  // Relations without a center cannot be located
+        }
+
+        elements.push({ type: kind, id: el.getAttribute('id'), center: { lat, lon }, tags: readTags(el) });
+      });
+    });
+
+    return OverpassModule.parseElements(elements, { source: 'osm' });
+  }
+
+  // =====================================================
+  // Helpers
+  // =====================================================
+
+  /**
+   * Normalize a properties object into string tags
+   * @param {Object} properties
+   * @returns {Object}
+   */
+  function toTags(properties) {
+    const tags = {};
+    Object.entries(properties || {}).forEach(([key, value]) => {
+      if (value === null || value === undefined || typeof value === 'object') return;
+      tags[String(key).trim()] = String(value).trim().slice(0, CONFIG.maxTagLength);
+    });
+    return tags;
+  }
+
+  /**
+   * Remove all loaded data
+   */
+  function clear() {
+    resources = [];
+    files = [];
+    fileResources.clear();
+    console.log('[FileSourceModule] Cleared loaded files');
+  }
+
+  /**
+   * Get loaded file summaries
+   * @returns {Array<{name: string, format: string, count: number}>}
+   */
+  function getFiles() {
+    return files.slice();
+  }
+
+  /**
+   * Get geographic extent of all loaded resources
+   * @returns {{south: number, west: number, north: number, east: number}|null}
+   */
+  function getBounds() {
+    if (resources.length === 0) return null;
+
+    return resources.reduce((b, r) => ({
+      south: Math.min(b.south, r.lat),
+      west: Math.min(b.west, r.lng),
+      north: Math.max(b.north, r.lat),
+      east: Math.max(b.east, r.lng)
+    }), { south: Infinity, west: Infinity, north: -Infinity, east: -Infinity });
+  }
+
+  /**
+   * Get the data source provider
+   * @returns {Object}
+   */
+  function getProvider() {
+    return provider;
+  }
+
+  // Public API
+  return {
+    getProvider,
+    loadFiles,
+    parseText,
+    parseCSVRows,
+    clear,
+    getFiles,
+    getBounds
+  };
+})();
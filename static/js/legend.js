@@ -0,0 +1,249 @@
+/**
+ * legend.js - Map Legend
+ * 關懷地景 The Topography of Care
+ *
+ * A Leaflet control explaining the current landscape: the renderer's color
+ * ramp, the contour thresholds placed along it and the resource types
+ * shaping the field. App calls update() whenever thresholds, colors or
+ * filters change; the legend keeps no analysis state of its own.
+ */
+
+const LegendModule = (() => {
+  // Private variables
+  let control = null;
+  let collapsed = false;
+
+  // Last data passed to update()
+  let current = {
+    title: '',
+    contours: null,  // [{value, normalizedValue}]
+    scale: null,     // {type: 'relative'|'absolute', max}
+    types: []        // [{id, label, color, count}]
+  };
+
+  // Configuration
+  const CONFIG = {
+    position: 'topright',
+    maxTickLabels: 5  // Threshold values printed under the ramp (every level gets a tick)
+  };
+
+  /**
+   * Leaflet control holding the legend
+   */
+  const LegendControl = L.Control.extend({
+    onAdd() {
+      const container = L.DomUtil.create('div', 'care-legend');
+      container.setAttribute('role', 'region');
+      container.setAttribute('aria-label', '圖例');
+      L.DomEvent.disableClickPropagation(container);
+      L.DomEvent.disableScrollPropagation(container);
+      return container;
+    }
+  });
+
+  /**
+   * Add the legend to the map
+   */
+  function init() {
+    const map = MapModule.getMap();
+    if (!map) {
+      console.error('[LegendModule] Map not initialized');
+      return false;
+    }
+
+    control = new LegendControl({ position: CONFIG.position });
+    control.addTo(map);
+    render();
+
+    console.log('[LegendModule] Initialized');
+    return true;
+  }
+
+  /**
+   * Update the legend
+   * @param {Object} data - Any of {title, contours, scale, types}; omitted
+   *   fields keep their last value
+   */
+  function update(data) {
+    current = { ...current, ...data };
+    render();
+  }
+
+  /**
+   * Rebuild the legend contents
+   */
+  function render() {
+    const container = control && control.getContainer();
+    if (!container) return;
+
+    container.replaceChildren();
+    container.classList.toggle('collapsed', collapsed);
+
+    const toggle = element('button', 'care-legend-toggle');
+    toggle.type = 'button';
+    toggle.setAttribute('aria-expanded', String(!collapsed));
+    toggle.append(
+      element('span', 'care-legend-title', current.title || '圖例'),
+      element('span', 'care-legend-chevron', collapsed ? '▸' : '▾')
+    );
+    toggle.addEventListener('click', () => {
+      collapsed = !collapsed;
+      render();
+    });
+    container.appendChild(toggle);
+
+    if (collapsed) return;
+
+    const body = element('div', 'care-legend-body');
+    body.append(renderRamp(), renderCaption());
+    if (current.types.length > 0) {
+      body.appendChild(renderTypes());
+    }
+    container.appendChild(body);
+  }
+
+  /**
+   * Color ramp with a tick per threshold and a subset of their values
+   * @returns {HTMLElement}
+   */
+  function renderRamp() {
+    const wrapper = element('div', 'care-legend-scale');
+    const ramp = element('div', 'care-legend-ramp');
+    const values = element('div', 'care-legend-values');
+
+    ramp.style.background = getGradient();
+
+    const ticks = getTicks();
+    ticks.forEach(({ offset }) => {
+      const tick = element('span', 'care-legend-tick');
+      tick.style.left = `${offset * 100}%`;
+      ramp.appendChild(tick);
+    });
+
+    const labels = ticks.length > 0
+      ? pickLabels(ticks).map(({ offset, value }) => ({ offset, text: RendererModule.formatValue(value) }))
+      : [{ offset: 0, text: '低' }, { offset: 1, text: '高' }];
+    labels.forEach(({ offset, text }) => {
+      const label = element('span', 'care-legend-value', text);
+      label.style.left = `${offset * 100}%`;
+      values.appendChild(label);
+    });
+
+    wrapper.append(ramp, values);
+    return wrapper;
+  }
+
+  /**
+   * Line describing the thresholds
+   * @returns {HTMLElement}
+   */
+  function renderCaption() {
+    const count = getTicks().length;
+    let text = '尚無等高線';
+
+    if (count > 0) {
+      text = current.scale && current.scale.type === 'absolute'
+        ? `${count} 條等高線・絕對色階 0 – ${RendererModule.formatValue(current.scale.max)}`
+        : `${count} 條等高線・相對色階（依視野內最高值）`;
+    }
+
+    return element('div', 'care-legend-caption', text);
+  }
+
+  /**
+   * Active resource types with their counts
+   * @returns {HTMLElement}
+   */
+  function renderTypes() {
+    const list = element('ul', 'care-legend-types');
+
+    current.types.forEach(({ label, color, count }) => {
+      const item = element('li');
+      const dot = element('span', 'care-legend-dot');
+      dot.style.backgroundColor = color;
+      item.append(dot, element('span', 'care-legend-type', label), element('span', 'care-legend-count', String(count)));
+      list.appendChild(item);
+    });
+
+    return list;
+  }
+
+  /**
+   * CSS gradient of the renderer's color ramp
+   * @returns {string}
+   */
+  function getGradient() {
+    const stops = RendererModule.getConfig().colorStops.map(({ pos, color }) =>
+      `rgba(${color.r}, ${color.g}, ${color.b}, ${Math.min(1, color.a + 0.2)}) ${pos * 100}%`
+    );
+    return `linear-gradient(to right, ${stops.join(', ')})`;
+  }
+
+  /**
+   * Thresholds as positions along the ramp
+   * @returns {Array<{offset: number, value: number}>} Sorted from low to high
+   */
+  function getTicks() {
+    return (current.contours || [])
+      .filter(contour => Number.isFinite(contour.value))
+      .map(contour => ({
+        offset: Math.min(1, Math.max(0, contour.normalizedValue)),
+        value: contour.value
+      }))
+      .sort((a, b) => a.offset - b.offset);
+  }
+
+  /**
+   * Evenly spread subset of ticks to print (always the lowest and highest)
+   * @param {Array} ticks
+   * @returns {Array}
+   */
+  function pickLabels(ticks) {
+    if (ticks.length <= CONFIG.maxTickLabels) return ticks;
+
+    const picked = [];
+    for (let i = 0; i < CONFIG.maxTickLabels; i++) {
+      picked.push(ticks[Math.round(i * (ticks.length - 1) / (CONFIG.maxTickLabels - 1))]);
+    }
+    return picked;
+  }
+
+  /**
+   * Create an element
+   * @param {string} tag
+   * @param {string} [className]
+   * @param {string} [text]
+   * @returns {HTMLElement}
+   */
+  function element(tag, className, text) {
+    const node = document.createElement(tag);
+    if (className) node.className = className;
+    if (text !== undefined) node.textContent = text;
+    return node;
+  }
+
+  /**
+   * Update configuration
+   * @param {Object} newConfig
+   */
+  function updateConfig(newConfig) {
+    Object.assign(CONFIG, newConfig);
+    render();
+  }
+
+  /**
+   * Get configuration
+   */
+  function getConfig() {
+    return { ...CONFIG };
+  }
+
+  // Public API
+  return {
+    init,
+    update,
+    render,
+    updateConfig,
+    getConfig
+  };
+})();
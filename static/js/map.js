@@ -30,23 +30,7 @@ const MapModule = (() => {
     center: [25.033, 121.565],
     zoom: 13,
     minZoom: 10,
-    maxZoom: 18,
-
-    // Resource type colors
-    typeColors: {
-      hospital: '#ef4444',  // red-500
-      clinic: '#f97316',    // orange-500
-      library: '#3b82f6',   // blue-500
-      social: '#a855f7'     // purple-500
-    },
-
-    // Resource type weights (for contour generation)
-    typeWeights: {
-      hospital: { radius: 0.008, amplitude: 1.0 },   // ~800m radius
-      clinic: { radius: 0.004, amplitude: 0.6 },     // ~400m radius
-      library: { radius: 0.006, amplitude: 0.7 },    // ~600m radius
-      social: { radius: 0.005, amplitude: 0.8 }      // ~500m radius
-    }
+    maxZoom: 18
   };
 
   /**
@@ -124,6 +108,14 @@ const MapModule = (() => {
     return currentTheme;
   }
 
+  /**
+   * Get the current tile layer settings (for compositing tiles elsewhere)
+   * @returns {{url: string, name: string, attribution: string, subdomains: string}}
+   */
+  function getTileConfig() {
+    return { ...TILES[currentTheme], subdomains: 'abcd' };
+  }
+
   /**
    * Handle zoom end event
    */
@@ -157,14 +149,19 @@ const MapModule = (() => {
 
   /**
    * Get current map bounds as Overpass bbox string
+   * @param {number} [margin] - Extend the bounds by this many meters on every side
    * @returns {string} "south,west,north,east"
    */
-  function getBboxString() {
+  function getBboxString(margin = 0) {
     const bounds = map.getBounds();
-    const south = bounds.getSouth().toFixed(6);
-    const west = bounds.getWest().toFixed(6);
-    const north = bounds.getNorth().toFixed(6);
-    const east = bounds.getEast().toFixed(6);
+    const center = bounds.getCenter();
+    const marginLat = margin / 111320;
+    const marginLng = margin / (111320 * Math.cos(center.lat * Math.PI / 180));
+
+    const south = (bounds.getSouth() - marginLat).toFixed(6);
+    const west = (bounds.getWest() - marginLng).toFixed(6);
+    const north = (bounds.getNorth() + marginLat).toFixed(6);
+    const east = (bounds.getEast() + marginLng).toFixed(6);
     return `${south},${west},${north},${east}`;
   }
 
@@ -199,7 +196,7 @@ const MapModule = (() => {
     clearMarkers();
 
     resources.forEach(resource => {
-      const color = CONFIG.typeColors[resource.type] || '#fbbf24';
+      const color = ResourceTypeModule.getColor(resource.type);
 
       const marker = L.circleMarker([resource.lat, resource.lng], {
         radius: 4,
@@ -266,6 +263,7 @@ const MapModule = (() => {
     getConfig,
     getTheme,
     switchTheme,
+    getTileConfig,
     getBboxString,
     latLngToPixel,
     pixelToLatLng,
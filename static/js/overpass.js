@@ -1,5 +1,5 @@
 /**
- * overpass.js - Overpass API Client with Caching
+ * overpass.js - Overpass API Client with Persistent Caching
  * 關懷地景 The Topography of Care
  */
 
@@ -14,7 +14,9 @@ const OverpassModule = (() => {
     timeout: 30000,
     retryDelay: 2000,
     maxRetries: 2,
-    cacheExpiry: 5 * 60 * 1000,  // 5 minutes
+    cachePrefix: 'overpass:tile:',  // Namespace within CacheModule
+    queryGroups: ['builtin', 'custom'],  // Queried and cached separately
+    tileSize: 0.05,              // Tile edge in degrees (~5km), fixed geographic grid
     minRequestInterval: 1000,    // Rate limiting: 1 request per second (H04)
 
     // Taiwan bounding box for coordinate validation (H05)
@@ -27,8 +29,8 @@ const OverpassModule = (() => {
     maxNameLength: 200  // Truncate long names
   };
 
-  // Cache storage
-  const cache = new Map();
+  // Tiles with an in-flight background revalidation (tile keys)
+  const revalidating = new Set();
 
   // Current endpoint index
   let endpointIndex = 0;
@@ -38,78 +40,316 @@ const OverpassModule = (() => {
 
   /**
    * Build Overpass QL query for social care resources
+   * Statements are generated from ResourceTypeModule selectors.
    * @param {string} bbox - Bounding box "south,west,north,east"
+   * @param {string} [group] - Type group to select (default: every type)
    * @returns {string} Overpass QL query
    */
-  function buildQuery(bbox) {
+  function buildQuery(bbox, group) {
+    const statements = ResourceTypeModule.getOverpassStatements(bbox, group)
+      .map(statement => `  ${statement}`)
+      .join('\n');
+
     return `
 [out:json][timeout:25];
 (
-  // Hospitals (nodes and ways)
-  node["amenity"="hospital"](${bbox});
-  way["amenity"="hospital"](${bbox});
-
-  // Clinics
-  node["amenity"="clinic"](${bbox});
+${statements}
+);
+out center tags;
+`.trim();
+  }
 
-  // Libraries
-  node["amenity"="library"](${bbox});
-  way["amenity"="library"](${bbox});
+  /**
+   * Parse a bbox string
+   * @param {string} bbox - "south,west,north,east"
+   * @returns {{south: number, west: number, north: number, east: number}}
+   */
+  function parseBbox(bbox) {
+    const [south, west, north, east] = bbox.split(',').map(parseFloat);
+    return { south, west, north, east };
+  }
 
-  // Social facilities
-  node["social_facility"](${bbox});
-  way["social_facility"](${bbox});
+  /**
+   * Format bounds as an Overpass bbox string
+   * @param {Object} bounds - {south, west, north, east}
+   * @returns {string}
+   */
+  function formatBbox(bounds) {
+    return [bounds.south, bounds.west, bounds.north, bounds.east]
+      .map(n => n.toFixed(6))
+      .join(',');
+  }
 
-  // Pharmacies
-  node["amenity"="pharmacy"](${bbox});
+  /**
+   * Tile index of a coordinate (column for longitude, row for latitude)
+   * @param {number} degrees
+   * @returns {number}
+   */
+  function tileIndex(degrees) {
+    return Math.floor(degrees / CONFIG.tileSize);
+  }
 
-  // Community centres
-  node["amenity"="community_centre"](${bbox});
-  way["amenity"="community_centre"](${bbox});
+  /**
+   * Type groups that currently have types to query
+   * Built-in and custom types are fetched and cached separately, so editing
+   * custom types never invalidates the tiles of the built-in types.
+   * @returns {Array<string>}
+   */
+  function getGroups() {
+    return CONFIG.queryGroups.filter(group =>
+      ResourceTypeModule.getOverpassStatements('', group).length > 0
+    );
+  }
 
-  // Kindergartens
-  node["amenity"="kindergarten"](${bbox});
-  way["amenity"="kindergarten"](${bbox});
-);
-out center tags;
-`.trim();
+  /**
+   * Describe the grid tile at tile coordinates (x, y)
+   * The cache key includes the signature of the group's query, so adding or
+   * removing a type never serves tiles fetched with another query.
+   * @param {number} x - Column index (floor(lng / tileSize))
+   * @param {number} y - Row index (floor(lat / tileSize))
+   * @param {string} [group] - Type group the tile is queried for
+   * @returns {Object} {x, y, group, key, south, west, north, east}
+   */
+  function getTile(x, y, group) {
+    const size = CONFIG.tileSize;
+    return {
+      x,
+      y,
+      group,
+      key: `${CONFIG.cachePrefix}${ResourceTypeModule.signature(group)}:${x},${y}`,
+      south: y * size,
+      west: x * size,
+      north: (y + 1) * size,
+      east: (x + 1) * size
+    };
   }
 
   /**
-   * Generate cache key from bbox
-   * @param {string} bbox
-   * @returns {string}
+   * Decompose a bbox into the fixed grid tiles covering it
+   * @param {string} bbox - "south,west,north,east"
+   * @param {string} [group] - Type group the tiles are queried for
+   * @returns {Array<Object>} Tiles (see getTile)
    */
-  function getCacheKey(bbox) {
-    // Round to 3 decimal places for cache efficiency
-    const parts = bbox.split(',').map(n => parseFloat(n).toFixed(3));
-    return parts.join(',');
+  function getTilesForBbox(bbox, group) {
+    const { south, west, north, east } = parseBbox(bbox);
+
+    const minX = tileIndex(west);
+    const maxX = tileIndex(east);
+    const minY = tileIndex(south);
+    const maxY = tileIndex(north);
+
+    const tiles = [];
+    for (let y = minY; y <= maxY; y++) {
+      for (let x = minX; x <= maxX; x++) {
+        tiles.push(getTile(x, y, group));
+      }
+    }
+    return tiles;
   }
 
   /**
-   * Check if cache entry is still valid
-   * @param {Object} entry
-   * @returns {boolean}
+   * Tiles of every active type group covering a bbox
+   * @param {string} bbox - "south,west,north,east"
+   * @returns {Array<Object>} Tiles (see getTile)
    */
-  function isCacheValid(entry) {
-    return entry && (Date.now() - entry.timestamp) < CONFIG.cacheExpiry;
+  function getQueryTiles(bbox) {
+    return getGroups().flatMap(group => getTilesForBbox(bbox, group));
   }
 
   /**
-   * Fetch resources from Overpass API with rate limiting (H04)
+   * Fetch resources for a bbox, tile by tile
+   * Only tiles missing from the cache are requested from Overpass; fresh
+   * tiles are used as-is and stale tiles are returned immediately and
+   * refreshed in the background (stale-while-revalidate), dispatching
+   * 'overpass:revalidated' when newer data arrives.
    * @param {string} bbox - Bounding box string
-   * @returns {Promise<Array>} Array of resource objects
+   * @returns {Promise<Array>} Resources of all covering tiles, deduplicated
    */
   async function fetchResources(bbox) {
-    const cacheKey = getCacheKey(bbox);
+    const tiles = getQueryTiles(bbox);
+    const cached = await Promise.all(tiles.map(tile => CacheModule.get(tile.key)));
+
+    const tileData = new Map();
+    const expiredData = new Map();
+    const stale = [];
+    const missing = [];
+
+    tiles.forEach((tile, i) => {
+      const entry = cached[i];
+      if (entry && entry.state !== 'expired') {
+        tileData.set(tile.key, entry.data);
+        if (entry.state === 'stale') stale.push(tile);
+      } else {
+        if (entry) expiredData.set(tile.key, entry.data);
+        missing.push(tile);
+      }
+    });
+
+    console.log(`[OverpassModule] ${tiles.length} tiles: ` +
+      `${tiles.length - missing.length} cached (${stale.length} stale), ${missing.length} to fetch`);
+
+    if (missing.length > 0) {
+      try {
+        const fetched = await fetchTiles(missing);
+        fetched.forEach((resources, key) => tileData.set(key, resources));
+      } catch (error) {
+        // All retries failed, fall back to expired tiles if available
+        const expired = missing.filter(tile => expiredData.has(tile.key));
+        if (expired.length === 0) throw error;
 
-    // Check cache first
-    const cached = cache.get(cacheKey);
-    if (isCacheValid(cached)) {
-      console.log('[OverpassModule] Cache hit:', cacheKey);
-      return cached.data;
+        console.warn(`[OverpassModule] Using ${expired.length}/${missing.length} expired tiles due to API failure`);
+        expired.forEach(tile => tileData.set(tile.key, expiredData.get(tile.key)));
+      }
     }
 
+    if (stale.length > 0) {
+      revalidate(bbox, stale);
+    }
+
+    return mergeTiles(tiles.map(tile => tileData.get(tile.key)));
+  }
+
+  /**
+   * Refresh stale tiles in the background
+   * @param {string} bbox - The bbox that was requested (echoed in the event)
+   * @param {Array<Object>} tiles - Stale tiles
+   */
+  function revalidate(bbox, tiles) {
+    const pending = tiles.filter(tile => !revalidating.has(tile.key));
+    if (pending.length === 0) return;
+
+    pending.forEach(tile => revalidating.add(tile.key));
+
+    fetchTiles(pending)
+      .then(async () => {
+        const all = getQueryTiles(bbox);
+        const entries = await Promise.all(all.map(tile => CacheModule.get(tile.key)));
+        const resources = mergeTiles(entries.map(entry => entry && entry.data));
+
+        document.dispatchEvent(new CustomEvent('overpass:revalidated', {
+          detail: { bbox, resources }
+        }));
+      })
+      .catch(error => {
+        console.warn('[OverpassModule] Background revalidation failed:', error.message);
+      })
+      .finally(() => {
+        pending.forEach(tile => revalidating.delete(tile.key));
+      });
+  }
+
+  /**
+   * Fetch a set of tiles and store each tile in the cache
+   * Only the given tiles are requested: they are grouped into rectangles
+   * of contiguous tiles of the same type group, one query each, so cached
+   * tiles between scattered gaps are not downloaded again.
+   * @param {Array<Object>} tiles
+   * @returns {Promise<Map<string, Array>>} Tile key -> resources
+   */
+  async function fetchTiles(tiles) {
+    const buckets = new Map();
+
+    // Sequential: requestResources rate-limits anyway
+    for (const rect of groupTiles(tiles)) {
+      const resources = await requestResources(formatBbox({
+        south: getTile(rect.minX, rect.minY).south,
+        west: getTile(rect.minX, rect.minY).west,
+        north: getTile(rect.maxX, rect.maxY).north,
+        east: getTile(rect.maxX, rect.maxY).east
+      }), rect.group);
+
+      // Every tile of the rectangle is now known, so store empty tiles too
+      const rectBuckets = new Map();
+      for (let y = rect.minY; y <= rect.maxY; y++) {
+        for (let x = rect.minX; x <= rect.maxX; x++) {
+          rectBuckets.set(getTile(x, y, rect.group).key, []);
+        }
+      }
+
+      // Overpass bboxes are inclusive and tile edges are not exact in
+      // floating point, so resources on the rectangle's border are clamped
+      // into it rather than dropped
+      resources.forEach(resource => {
+        const x = Math.min(rect.maxX, Math.max(rect.minX, tileIndex(resource.lng)));
+        const y = Math.min(rect.maxY, Math.max(rect.minY, tileIndex(resource.lat)));
+        rectBuckets.get(getTile(x, y, rect.group).key).push(resource);
+      });
+
+      await Promise.all(Array.from(rectBuckets, ([key, data]) => CacheModule.set(key, data)));
+      rectBuckets.forEach((data, key) => buckets.set(key, data));
+    }
+
+    return buckets;
+  }
+
+  /**
+   * Group tiles into rectangles: contiguous runs within each row, merged
+   * with identical runs in the rows directly above; tiles of different
+   * type groups never share a rectangle
+   * @param {Array<Object>} tiles
+   * @returns {Array<{group: string, minX: number, maxX: number, minY: number, maxY: number}>}
+   */
+  function groupTiles(tiles) {
+    const groupOrder = group => CONFIG.queryGroups.indexOf(group);
+    const sorted = tiles.slice().sort((a, b) =>
+      groupOrder(a.group) - groupOrder(b.group) || a.y - b.y || a.x - b.x
+    );
+
+    const runs = [];
+    sorted.forEach(tile => {
+      const last = runs[runs.length - 1];
+      if (last && last.group === tile.group && last.y === tile.y && last.maxX === tile.x - 1) {
+        last.maxX = tile.x;
+      } else {
+        runs.push({ group: tile.group, y: tile.y, minX: tile.x, maxX: tile.x });
+      }
+    });
+
+    // Runs arrive row by row; extend a rectangle ending in the previous row
+    const rects = [];
+    runs.forEach(run => {
+      const rect = rects.find(r => r.group === run.group &&
+        r.maxY === run.y - 1 && r.minX === run.minX && r.maxX === run.maxX
+      );
+      if (rect) {
+        rect.maxY = run.y;
+      } else {
+        rects.push({ group: run.group, minX: run.minX, maxX: run.maxX, minY: run.y, maxY: run.y });
+      }
+    });
+
+    return rects;
+  }
+
+  /**
+   * Merge per-tile resource arrays, deduplicating by OSM element
+   * Resources are classified again against the current types: a built-in
+   * tile may have been cached while a since-removed custom type claimed
+   * some of its elements.
+   * @param {Array<Array|undefined>} tileResources
+   * @returns {Array}
+   */
+  function mergeTiles(tileResources) {
+    const merged = new Map();
+
+    tileResources.forEach(resources => {
+      (resources || []).forEach(resource => {
+        const type = getResourceType(resource.tags) || resource.type;
+        merged.set(`${resource.osmType}/${resource.id}`,
+          type === resource.type ? resource : { ...resource, type });
+      });
+    });
+
+    return Array.from(merged.values());
+  }
+
+  /**
+   * Request resources from Overpass API with rate limiting (H04)
+   * @param {string} bbox - Bounding box string
+   * @param {string} [group] - Type group to query (default: every type)
+   * @returns {Promise<Array>} Array of resource objects
+   */
+  async function requestResources(bbox, group) {
     // Rate limiting (H04): enforce minimum interval between requests
     const now = Date.now();
     const timeSinceLastRequest = now - lastRequestTime;
@@ -121,7 +361,7 @@ out center tags;
     lastRequestTime = Date.now();
 
     // Build query
-    const query = buildQuery(bbox);
+    const query = buildQuery(bbox, group);
     console.log('[OverpassModule] Fetching resources for bbox:', bbox);
 
     // Try endpoints with retry logic
@@ -145,13 +385,6 @@ out center tags;
 
         if (data.elements) {
           const resources = parseElements(data.elements);
-
-          // Update cache
-          cache.set(cacheKey, {
-            data: resources,
-            timestamp: Date.now()
-          });
-
           console.log(`[OverpassModule] Fetched ${resources.length} resources`);
           return resources;
         }
@@ -168,12 +401,6 @@ out center tags;
       }
     }
 
-    // All retries failed, return cached data if available (even if expired)
-    if (cached) {
-      console.warn('[OverpassModule] Using expired cache due to API failure');
-      return cached.data;
-    }
-
     throw lastError || new Error('Failed to fetch resources');
   }
 
@@ -225,10 +452,16 @@ out center tags;
 
   /**
    * Parse Overpass elements into resource objects with validation (H05)
+   * Elements from other sources (files) use the same shape; they may carry
+   * a `resourceType` hint used when their tags do not classify them.
    * @param {Array} elements
+   * @param {Object} [options]
+   * @param {string} [options.source='osm'] - Provenance recorded on each resource
    * @returns {Array}
    */
-  function parseElements(elements) {
+  function parseElements(elements, options = {}) {
+    const source = options.source || 'osm';
+
     // Validate input array
     if (!Array.isArray(elements)) {
       console.error('[OverpassModule] Invalid elements: not an array');
@@ -250,7 +483,8 @@ out center tags;
         }
 
         // Determine resource type
-        const type = getResourceType(el.tags);
+        const type = getResourceType(el.tags) ||
+          (ResourceTypeModule.has(el.resourceType) ? el.resourceType : null);
         if (!type) return null;
 
         // Validate ID
@@ -267,6 +501,8 @@ out center tags;
 
         return {
           id,
+          osmType: el.type || 'node',
+          source,
           type,
           lat: parseFloat(lat.toFixed(6)),  // Limit precision
           lng: parseFloat(lng.toFixed(6)),
@@ -284,17 +520,7 @@ out center tags;
    * @returns {string|null}
    */
   function getResourceType(tags) {
-    if (!tags) return null;
-
-    if (tags.amenity === 'hospital') return 'hospital';
-    if (tags.amenity === 'clinic') return 'clinic';
-    if (tags.amenity === 'library') return 'library';
-    if (tags.social_facility) return 'social';
-    if (tags.amenity === 'pharmacy') return 'pharmacy';
-    if (tags.amenity === 'community_centre') return 'community';
-    if (tags.amenity === 'kindergarten') return 'kindergarten';
-
-    return null;
+    return ResourceTypeModule.classify(tags);
   }
 
   /**
@@ -328,28 +554,103 @@ out center tags;
   }
 
   /**
-   * Clear cache
+   * Clear cached Overpass tiles
+   * @param {Object|Function} [filter] - Omit to clear everything; otherwise
+   *   {bbox} (tiles intersecting it), {olderThan: ms},
+   *   {state: 'fresh'|'stale'|'expired'} or a predicate over the entries
+   *   returned by getCacheStats()
+   * @returns {Promise<number>} Number of removed tiles
    */
-  function clearCache() {
-    cache.clear();
-    console.log('[OverpassModule] Cache cleared');
+  async function clearCache(filter) {
+    const ownEntry = entry => entry.key.startsWith(CONFIG.cachePrefix);
+    let predicate = ownEntry;
+
+    if (typeof filter === 'function') {
+      predicate = entry => ownEntry(entry) && filter(describeEntry(entry));
+    } else if (filter) {
+      const tiles = filter.bbox
+        ? new Set(getTilesForBbox(filter.bbox).map(tileId))
+        : null;
+      predicate = entry => ownEntry(entry) &&
+        (!tiles || tiles.has(tileId(describeEntry(entry).tile))) &&
+        (filter.olderThan === undefined || entry.age >= filter.olderThan) &&
+        (filter.state === undefined || entry.state === filter.state);
+    }
+
+    const removed = await CacheModule.clear(predicate);
+    console.log(`[OverpassModule] Cache cleared (${removed} tiles)`);
+    return removed;
   }
 
   /**
-   * Get cache statistics
+   * Signature-independent tile id
+   * @param {{x: number, y: number}} tile
+   * @returns {string} "x,y"
+   */
+  function tileId(tile) {
+    return `${tile.x},${tile.y}`;
+  }
+
+  /**
+   * Add tile coordinates, bounds and type signature to a CacheModule entry
+   * `group` is the active type group whose query wrote the tile, or null
+   * when no current query matches its signature.
+   * @param {Object} entry
    * @returns {Object}
    */
-  function getCacheStats() {
+  function describeEntry(entry) {
+    // Keys written before type signatures existed have no "signature:" part
+    const rest = entry.key.slice(CONFIG.cachePrefix.length);
+    const [signature, coords] = rest.includes(':') ? rest.split(':') : [null, rest];
+    const [x, y] = coords.split(',').map(Number);
+    const { south, west, north, east } = getTile(x, y);
+    const group = getGroups().find(g => ResourceTypeModule.signature(g) === signature) || null;
     return {
-      size: cache.size,
-      entries: Array.from(cache.keys())
+      ...entry,
+      tile: { x, y },
+      signature,
+      group,
+      current: group !== null,
+      bbox: formatBbox({ south, west, north, east })
     };
   }
 
+  /**
+   * Get cache statistics
+   * @returns {Promise<Object>} {persistent, size, bytes, maxEntries, maxBytes,
+   *   freshFor, staleFor, tileSize, entries: [{key, tile, bbox, size, age, state, ...}]}
+   */
+  async function getCacheStats() {
+    const stats = await CacheModule.getStats();
+    const entries = stats.entries
+      .filter(entry => entry.key.startsWith(CONFIG.cachePrefix))
+      .map(describeEntry);
+
+    return {
+      ...stats,
+      tileSize: CONFIG.tileSize,
+      size: entries.length,
+      bytes: entries.reduce((sum, entry) => sum + entry.size, 0),
+      entries
+    };
+  }
+
+  /**
+   * Configure the cache budget and freshness windows
+   * @param {Object} options - {maxEntries, maxBytes, freshFor, staleFor}
+   * @returns {Promise<number>} Number of entries evicted to fit the new budget
+   */
+  function configureCache(options) {
+    return CacheModule.configure(options);
+  }
+
   // Public API
   return {
     fetchResources,
+    getTilesForBbox,
+    parseElements,
     clearCache,
-    getCacheStats
+    getCacheStats,
+    configureCache
   };
 })();
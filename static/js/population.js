@@ -0,0 +1,568 @@
+/**
+ * population.js - Population Data for Accessibility Analysis
+ * 關懷地景 The Topography of Care
+ *
+ * Loads residents from local files and resamples them onto the
+ * ContourModule grid, where the 2SFCA and care-deficit models use them
+ * as demand. Supported inputs:
+ *   - CSV with a population column and lat/lng (or TWD97 X/Y) coordinates
+ *   - GeoJSON points or polygons with a population property; polygons are
+ *     spread evenly (by area) over the grid cells they cover
+ *   - ESRI ASCII raster (.asc) of residents per cell (WGS84 or TWD97)
+ *   - Village-level census tables (村里代碼 + 人口數, no coordinates) joined
+ *     with a village boundary GeoJSON (VILLCODE) loaded in the same session
+ */
+
+const PopulationModule = (() => {
+  // Configuration
+  const CONFIG = {
+    maxFileSize: 50 * 1024 * 1024,  // 50 MB per file
+
+    // Column / property aliases (compared lower-cased, whitespace removed)
+    columns: {
+      population: ['population', 'pop', 'total', '人口', '人口數', '總人口', '人口總數', '人口合計', 'p_cnt'],
+      code: ['villcode', 'vill_code', 'village_code', '村里代碼', '村里代號', '村里碼'],
+      lat: ['lat', 'latitude', '緯度'],
+      lng: ['lng', 'lon', 'longitude', '經度'],
+      x: ['twd97x', 'twd97_x', 'x坐標', 'x座標', '橫坐標', 'x'],
+      y: ['twd97y', 'twd97_y', 'y坐標', 'y座標', '縱坐標', 'y']
+    }
+  };
+
+  // Loaded population points: [{lat, lng, population}]
+  let points = [];
+
+  // Loaded population polygons: [{polygons: [[ring, ...holes], ...], population, bbox}]
+  let areas = [];
+
+  // Census join state: village code -> boundary geometry / population
+  const boundaries = new Map();
+  const census = new Map();
+
+  // Loaded file summaries: [{name, format, count, total}]
+  let files = [];
+
+  // =====================================================
+  // Loading
+  // =====================================================
+
+  /**
+   * Load population files
+   * @param {FileList|Array<File>} fileList
+   * @returns {Promise<{loaded: Array, errors: Array}>}
+   */
+  async function loadFiles(fileList) {
+    const loaded = [];
+    const errors = [];
+
+    for (const file of Array.from(fileList)) {
+      try {
+        if (file.size > CONFIG.maxFileSize) {
+          throw new Error('檔案過大');
+        }
+
+        const text = await RegistryModule.readText(file);
+        const format = detectFormat(file.name, text);
+        const parsed = parseText(text, format);
+
+        parsed.boundaries.forEach(({ code, geometry }) => boundaries.set(code, geometry));
+        parsed.census.forEach(({ code, population }) => census.set(code, population));
+        const joined = joinCensus();
+
+        const added = parsed.points.length + parsed.areas.length + joined.length;
+        if (added === 0 && parsed.boundaries.length === 0 && parsed.census.length === 0) {
+          throw new Error('找不到人口欄位或座標');
+        }
+
+        points = points.concat(parsed.points);
+        areas = areas.concat(parsed.areas, joined);
+
+        const summary = {
+          name: file.name,
+          format,
+          count: added,
+          total: sumPopulation(parsed.points) + sumPopulation(parsed.areas) + sumPopulation(joined),
+          pending: added === 0
+        };
+        files.push(summary);
+        loaded.push(summary);
+
+        console.log(`[PopulationModule] Loaded ${summary.count} ${format} features` +
+          ` (${Math.round(summary.total)} residents) from ${file.name}`);
+      } catch (error) {
+        console.warn(`[PopulationModule] Failed to load ${file.name}:`, error.message);
+        errors.push({ name: file.name, message: error.message });
+      }
+    }
+
+    if (loaded.length > 0) {
+      notifyChange();
+    }
+
+    return { loaded, errors };
+  }
+
+  /**
+   * Detect file format
+   * @param {string} name
+   * @param {string} text
+   * @returns {'csv'|'geojson'|'asc'}
+   */
+  function detectFormat(name, text) {
+    if (/\.asc$/i.test(name) || /^\s*ncols\s/i.test(text)) return 'asc';
+    if (/\.(geo)?json$/i.test(name) || text.trimStart().startsWith('{')) return 'geojson';
+    return 'csv';
+  }
+
+  /**
+   * Parse population text
+   * @param {string} text
+   * @param {'csv'|'geojson'|'asc'} format
+   * @returns {{points: Array, areas: Array, boundaries: Array, census: Array}}
+   */
+  function parseText(text, format) {
+    const result = { points: [], areas: [], boundaries: [], census: [] };
+
+    if (format === 'asc') {
+      result.points = parseAsciiGrid(text);
+    } else if (format === 'geojson') {
+      parseGeoJSON(text, result);
+    } else {
+      parseCSV(text, result);
+    }
+
+    return result;
+  }
+
+  /**
+   * Parse a population CSV: rows with coordinates become points, rows with
+   * only a village code become census entries awaiting a boundary file
+   * @param {string} text
+   * @param {Object} result - parseText() result to fill
+   */
+  function parseCSV(text, result) {
+    const rows = FileSourceModule.parseCSVRows(text);
+    if (rows.length < 2) return;
+
+    const header = rows[0];
+    const col = {};
+    Object.entries(CONFIG.columns).forEach(([field, aliases]) => {
+      col[field] = findColumn(header, aliases);
+    });
+    if (col.population < 0) {
+      throw new Error('找不到人口欄位');
+    }
+
+    rows.slice(1).forEach(row => {
+      const cell = field => (col[field] >= 0 ? parseFloat(row[col[field]]) : NaN);
+      const population = cell('population');
+      if (!Number.isFinite(population) || population <= 0) return;
+
+      const position = toLatLng(cell('lat'), cell('lng'), cell('x'), cell('y'));
+      if (position) {
+        result.points.push({ ...position, population });
+      } else if (col.code >= 0 && row[col.code]) {
+        result.census.push({ code: row[col.code].trim(), population });
+      }
+    });
+  }
+
+  /**
+   * Parse GeoJSON: features with a population property are used directly,
+   * features with only a village code are kept as census boundaries
+   * @param {string} text
+   * @param {Object} result - parseText() result to fill
+   */
+  function parseGeoJSON(text, result) {
+    const data = JSON.parse(text);
+    const features = data.type === 'FeatureCollection' ? data.features : [data];
+
+    (features || []).forEach(feature => {
+      const geometry = feature?.geometry;
+      if (!geometry || !Array.isArray(geometry.coordinates)) return;
+
+      const population = getProperty(feature.properties, CONFIG.columns.population);
+      const code = getProperty(feature.properties, CONFIG.columns.code);
+      const polygons = toPolygons(geometry);
+
+      const value = parseFloat(population);
+
+      if (Number.isFinite(value) && value > 0) {
+        if (polygons) {
+          result.areas.push(createArea(polygons, value));
+        } else {
+          const center = geometryCenter(geometry);
+          if (center) result.points.push({ lat: center[1], lng: center[0], population: value });
+        }
+      } else if (code && polygons) {
+        result.boundaries.push({ code: String(code).trim(), geometry: polygons });
+      }
+    });
+  }
+
+  /**
+   * Parse an ESRI ASCII raster into one point per populated cell
+   * Cell coordinates in TWD97 meters are converted to WGS84.
+   * @param {string} text
+   * @returns {Array<{lat: number, lng: number, population: number}>}
+   */
+  function parseAsciiGrid(text) {
+    const lines = text.split(/\r?\n/);
+    const header = {};
+    let line = 0;
+
+    // Header: "key value" lines until the first numeric row
+    while (line < lines.length && /^\s*[a-z_]+\s+/i.test(lines[line])) {
+      const [key, value] = lines[line].trim().split(/\s+/);
+      header[key.toLowerCase()] = parseFloat(value);
+      line++;
+    }
+
+    const { ncols, nrows, cellsize } = header;
+    if (!(ncols > 0 && nrows > 0 && cellsize > 0)) {
+      throw new Error('ASCII 網格檔頭不完整');
+    }
+
+    // Corner vs center registration
+    const west = header.xllcorner ?? (header.xllcenter - cellsize / 2);
+    const south = header.yllcorner ?? (header.yllcenter - cellsize / 2);
+    const nodata = header.nodata_value;
+    const projected = RegistryModule.isTwd97(west, south);
+
+    const values = lines.slice(line).join(' ').trim().split(/\s+/).map(parseFloat);
+    if (values.length < ncols * nrows) {
+      throw new Error('ASCII 網格資料筆數不足');
+    }
+
+    const result = [];
+    for (let row = 0; row < nrows; row++) {
+      for (let col = 0; col < ncols; col++) {
+        const population = values[row * ncols + col];
+        if (!(population > 0) || population === nodata) continue;
+
+        // Rows run north to south
+        const x = west + (col + 0.5) * cellsize;
+        const y = south + (nrows - row - 0.5) * cellsize;
+        const position = projected ? RegistryModule.twd97ToWgs84(x, y) : { lat: y, lng: x };
+        result.push({ ...position, population });
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Join census entries with boundaries sharing a village code
+   * Joined entries are removed from the pending maps.
+   * @returns {Array} New areas
+   */
+  function joinCensus() {
+    const joined = [];
+
+    census.forEach((population, code) => {
+      const polygons = boundaries.get(code);
+      if (!polygons) return;
+
+      joined.push(createArea(polygons, population));
+      census.delete(code);
+      boundaries.delete(code);
+    });
+
+    return joined;
+  }
+
+  // =====================================================
+  // Geometry Helpers
+  // =====================================================
+
+  /**
+   * Normalize Polygon / MultiPolygon coordinates
+   * @param {Object} geometry
+   * @returns {Array|null} [[outerRing, ...holes], ...] or null for other types
+   */
+  function toPolygons(geometry) {
+    if (geometry.type === 'Polygon') return [geometry.coordinates];
+    if (geometry.type === 'MultiPolygon') return geometry.coordinates;
+    return null;
+  }
+
+  /**
+   * Create an area record with its bounding box
+   * @param {Array} polygons
+   * @param {number} population
+   * @returns {Object}
+   */
+  function createArea(polygons, population) {
+    const bbox = { south: Infinity, west: Infinity, north: -Infinity, east: -Infinity };
+    polygons.forEach(([outer]) => outer.forEach(([lng, lat]) => {
+      bbox.south = Math.min(bbox.south, lat);
+      bbox.north = Math.max(bbox.north, lat);
+      bbox.west = Math.min(bbox.west, lng);
+      bbox.east = Math.max(bbox.east, lng);
+    }));
+    return { polygons, population, bbox };
+  }
+
+  /**
+   * Ray-casting point-in-ring test
+   * @param {number} lng
+   * @param {number} lat
+   * @param {Array} ring
+   * @returns {boolean}
+   */
+  function inRing(lng, lat, ring) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const [xi, yi] = ring[i];
+      const [xj, yj] = ring[j];
+      if ((yi > lat) !== (yj > lat) && lng < (xj - xi) * (lat - yi) / (yj - yi) + xi) {
+        inside = !inside;
+      }
+    }
+    return inside;
+  }
+
+  /**
+   * Point-in-(multi)polygon test honoring holes
+   * @returns {boolean}
+   */
+  function inPolygons(lng, lat, polygons) {
+    return polygons.some(([outer, ...holes]) =>
+      inRing(lng, lat, outer) && !holes.some(hole => inRing(lng, lat, hole))
+    );
+  }
+
+  /**
+   * Mean of all vertices of a geometry
+   * @param {Object} geometry
+   * @returns {Array<number>|null} [lng, lat]
+   */
+  function geometryCenter(geometry) {
+    const coords = [];
+    const collect = value => {
+      if (typeof value[0] === 'number') {
+        coords.push(value);
+      } else {
+        value.forEach(collect);
+      }
+    };
+
+    collect(geometry.coordinates);
+    if (coords.length === 0) return null;
+
+    const sum = coords.reduce(([x, y], [lng, lat]) => [x + lng, y + lat], [0, 0]);
+    return [sum[0] / coords.length, sum[1] / coords.length];
+  }
+
+  /**
+   * Resolve WGS84 or TWD97 coordinates
+   * @returns {{lat: number, lng: number}|null}
+   */
+  function toLatLng(lat, lng, x, y) {
+    if (Number.isFinite(lat) && Number.isFinite(lng)) {
+      return { lat, lng };
+    }
+    if (Number.isFinite(x) && Number.isFinite(y)) {
+      if (RegistryModule.isTwd97(x, y)) return RegistryModule.twd97ToWgs84(x, y);
+      return { lat: y, lng: x };
+    }
+    return null;
+  }
+
+  /**
+   * Read a property by aliases (ignores case and whitespace)
+   * @param {Object} properties
+   * @param {Array<string>} aliases
+   * @returns {*} undefined if missing
+   */
+  function getProperty(properties, aliases) {
+    if (!properties) return undefined;
+
+    const keys = Object.keys(properties);
+    const index = findColumn(keys, aliases);
+    return index >= 0 ? properties[keys[index]] : undefined;
+  }
+
+  /**
+   * Find a column index by aliases (ignores case and whitespace)
+   * @param {Array<string>} header
+   * @param {Array<string>} aliases
+   * @returns {number} -1 if not found
+   */
+  function findColumn(header, aliases) {
+    const normalized = header.map(h => h.toLowerCase().replace(/\s+/g, ''));
+    for (const alias of aliases) {
+      const index = normalized.indexOf(alias);
+      if (index >= 0) return index;
+    }
+    return -1;
+  }
+
+  /**
+   * Sum population of points or areas
+   * @param {Array<{population: number}>} items
+   * @returns {number}
+   */
+  function sumPopulation(items) {
+    return items.reduce((sum, item) => sum + item.population, 0);
+  }
+
+  // =====================================================
+  // Resampling
+  // =====================================================
+
+  /**
+   * Polygon area in square meters (shoelace formula in a local metric)
+   * @param {Array} polygons - [[outer, ...holes], ...]
+   * @param {Object} grid - Supplies metersPerDegLat / metersPerDegLng
+   * @returns {number}
+   */
+  function polygonArea(polygons, grid) {
+    const ringArea = ring => {
+      let sum = 0;
+      for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        sum += (ring[j][0] - ring[i][0]) * (ring[j][1] + ring[i][1]);
+      }
+      return Math.abs(sum / 2) * grid.metersPerDegLng * grid.metersPerDegLat;
+    };
+
+    return polygons.reduce((total, [outer, ...holes]) =>
+      total + ringArea(outer) - holes.reduce((sum, hole) => sum + ringArea(hole), 0), 0);
+  }
+
+  /**
+   * Resample loaded population onto a ContourModule grid
+   * Points add to the cell they fall in. Areas are spread evenly over the
+   * cells whose centers they contain; for areas reaching past the view each
+   * cell gets population × cellArea / polygonArea, so a village half
+   * off-screen contributes half its residents.
+   * @param {Object} bounds - {south, west, north, east}
+   * @param {Object} grid - From ContourModule.getGrid(bounds)
+   * @returns {Float32Array|null} Residents per cell, or null if nothing is loaded
+   */
+  function sampleGrid(bounds, grid) {
+    if (!hasData()) return null;
+
+    const { width, height, cellWidth, cellHeight } = grid;
+    const cells = new Float32Array(width * height);
+    const cellIndex = (lng, lat) => {
+      const x = Math.floor((lng - bounds.west) / cellWidth);
+      const y = Math.floor((lat - bounds.south) / cellHeight);
+      return x >= 0 && x < width && y >= 0 && y < height ? y * width + x : -1;
+    };
+
+    points.forEach(({ lat, lng, population }) => {
+      const index = cellIndex(lng, lat);
+      if (index >= 0) cells[index] += population;
+    });
+
+    const cellArea = grid.cellSize * grid.cellSize;
+    areas.forEach(({ polygons, population, bbox }) => {
+      if (bbox.east < bounds.west || bbox.west > bounds.east ||
+          bbox.north < bounds.south || bbox.south > bounds.north) return;
+
+      // Only cells inside the view are visited
+      const minX = Math.max(0, Math.floor((bbox.west - bounds.west) / cellWidth));
+      const maxX = Math.min(width - 1, Math.floor((bbox.east - bounds.west) / cellWidth));
+      const minY = Math.max(0, Math.floor((bbox.south - bounds.south) / cellHeight));
+      const maxY = Math.min(height - 1, Math.floor((bbox.north - bounds.south) / cellHeight));
+
+      const covered = [];
+      for (let y = minY; y <= maxY; y++) {
+        const lat = bounds.south + (y + 0.5) * cellHeight;
+        for (let x = minX; x <= maxX; x++) {
+          const lng = bounds.west + (x + 0.5) * cellWidth;
+          if (inPolygons(lng, lat, polygons)) covered.push(y * width + x);
+        }
+      }
+
+      // Fully in view: split exactly; partly in view: split by area
+      const inside = bbox.west >= bounds.west && bbox.east <= bounds.east &&
+        bbox.south >= bounds.south && bbox.north <= bounds.north;
+      const area = polygonArea(polygons, grid);
+
+      if (covered.length === 0) {
+        // Smaller than a cell (no cell center inside): use the bbox center
+        const index = cellIndex((bbox.west + bbox.east) / 2, (bbox.south + bbox.north) / 2);
+        if (index >= 0 && area < cellArea) cells[index] += population;
+        return;
+      }
+
+      const share = inside
+        ? population / covered.length
+        : population * Math.min(1, cellArea / Math.max(area, 1));
+      covered.forEach(index => { cells[index] += share; });
+    });
+
+    return cells;
+  }
+
+  // =====================================================
+  // State
+  // =====================================================
+
+  /**
+   * Tell listeners that population data changed
+   */
+  function notifyChange() {
+    document.dispatchEvent(new CustomEvent('population:change', {
+      detail: { files: files.length, total: getTotal() }
+    }));
+  }
+
+  /**
+   * Check whether any population data is loaded
+   * @returns {boolean}
+   */
+  function hasData() {
+    return points.length > 0 || areas.length > 0;
+  }
+
+  /**
+   * Total loaded residents
+   * @returns {number}
+   */
+  function getTotal() {
+    return sumPopulation(points) + sumPopulation(areas);
+  }
+
+  /**
+   * Census rows / boundaries still waiting for their counterpart
+   * @returns {{census: number, boundaries: number}}
+   */
+  function getPending() {
+    return { census: census.size, boundaries: boundaries.size };
+  }
+
+  /**
+   * Remove all loaded population data
+   */
+  function clear() {
+    points = [];
+    areas = [];
+    boundaries.clear();
+    census.clear();
+    files = [];
+    notifyChange();
+  }
+
+  /**
+   * Get loaded file summaries
+   * @returns {Array}
+   */
+  function getFiles() {
+    return files.slice();
+  }
+
+  // Public API
+  return {
+    loadFiles,
+    parseText,
+    sampleGrid,
+    hasData,
+    getTotal,
+    getPending,
+    clear,
+    getFiles
+  };
+})();
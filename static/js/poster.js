@@ -0,0 +1,502 @@
+/**
+ * poster.js - Map Poster Export (PNG / SVG)
+ * 關懷地景 The Topography of Care
+ *
+ * Composites the basemap tiles and the contour layer of the current view
+ * into a print-ready poster with title, legend, scale bar, date and
+ * attribution. PNG is rendered at a chosen scale factor; SVG keeps the
+ * contours as vector paths over an embedded basemap image.
+ */
+
+const PosterModule = (() => {
+  // Configuration
+  const CONFIG = {
+    tileSize: 256,
+    tileTimeout: 10000,  // Missing tiles are left blank after this
+
+    // Layout (CSS pixels, multiplied by the scale factor)
+    headerHeight: 64,
+    footerHeight: 72,
+    padding: 20,
+    legendWidth: 160,
+    scaleBarMaxWidth: 120,
+
+    fontFamily: '"Noto Sans TC", "PingFang TC", "Microsoft JhengHei", sans-serif',
+    attribution: '© OpenStreetMap contributors © CARTO',
+
+    themes: {
+      light: { background: '#ffffff', text: '#1f2937', muted: '#6b7280', rule: '#e5e7eb' },
+      dark: { background: '#111827', text: '#f9fafb', muted: '#9ca3af', rule: '#374151' }
+    }
+  };
+
+  /**
+   * Create a poster of the current map view
+   * @param {Object} options
+   * @param {string} [options.format] - 'png' or 'svg'
+   * @param {number} [options.scale] - Resolution multiplier (PNG pixels per CSS pixel)
+   * @param {string} options.title
+   * @param {string} [options.subtitle]
+   * @param {string} [options.legendTitle]
+   * @returns {Promise<Blob>}
+   */
+  async function create(options) {
+    const format = options.format === 'svg' ? 'svg' : 'png';
+    const scale = Math.max(1, options.scale || 1);
+    const layout = getLayout();
+    const basemap = await renderBasemap(layout, scale);
+
+    const blob = format === 'svg'
+      ? toSvg(layout, basemap, options, scale)
+      : await toPng(layout, basemap, options, scale);
+
+    console.log(`[PosterModule] Created ${format.toUpperCase()} poster ${Math.round(layout.width * scale)}x${Math.round(layout.height * scale)}`);
+    return blob;
+  }
+
+  /**
+   * Compute the poster layout for the current map size
+   * @returns {Object} {width, height, map: {x, y, width, height}, theme, scaleBar, footerY}
+   */
+  function getLayout() {
+    const { width, height } = RendererModule.getDimensions();
+    const theme = CONFIG.themes[MapModule.getTheme()] || CONFIG.themes.light;
+
+    return {
+      width,
+      height: CONFIG.headerHeight + height + CONFIG.footerHeight,
+      map: { x: 0, y: CONFIG.headerHeight, width, height },
+      footerY: CONFIG.headerHeight + height,
+      theme,
+      scaleBar: getScaleBar(width, height)
+    };
+  }
+
+  /**
+   * Pick a round scale bar length for the map center
+   * @param {number} width - Map width (px)
+   * @param {number} height - Map height (px)
+   * @returns {{width: number, label: string}} width in CSS pixels
+   */
+  function getScaleBar(width, height) {
+    const map = MapModule.getMap();
+    const y = height / 2;
+    const left = map.containerPointToLatLng([width / 2 - 50, y]);
+    const right = map.containerPointToLatLng([width / 2 + 50, y]);
+    const metersPerPixel = map.distance(left, right) / 100;
+
+    // Largest 1 / 2 / 5 x 10^n that fits
+    const maxMeters = metersPerPixel * CONFIG.scaleBarMaxWidth;
+    const magnitude = Math.pow(10, Math.floor(Math.log10(maxMeters)));
+    const meters = [5, 2, 1].map(step => step * magnitude).find(value => value <= maxMeters);
+
+    return {
+      width: meters / metersPerPixel,
+      label: meters >= 1000 ? `${meters / 1000} km` : `${meters} m`
+    };
+  }
+
+  // =====================================================
+  // Basemap
+  // =====================================================
+
+  /**
+   * Draw the tiles behind the current view onto a canvas
+   * @param {Object} layout
+   * @param {number} scale
+   * @returns {Promise<HTMLCanvasElement>} Canvas of map size x scale
+   */
+  async function renderBasemap(layout, scale) {
+    const map = MapModule.getMap();
+    const tile = MapModule.getTileConfig();
+    const zoom = Math.round(map.getZoom());
+    const origin = map.getPixelBounds().min;
+    const size = CONFIG.tileSize;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(layout.map.width * scale);
+    canvas.height = Math.round(layout.map.height * scale);
+    const ctx = canvas.getContext('2d');
+
+    const minX = Math.floor(origin.x / size);
+    const minY = Math.floor(origin.y / size);
+    const maxX = Math.floor((origin.x + layout.map.width) / size);
+    const maxY = Math.floor((origin.y + layout.map.height) / size);
+    const count = Math.pow(2, zoom);
+
+    const jobs = [];
+    for (let y = Math.max(0, minY); y <= Math.min(count - 1, maxY); y++) {
+      for (let x = minX; x <= maxX; x++) {
+        const wrappedX = ((x % count) + count) % count;
+        const url = L.Util.template(tile.url, {
+          s: tile.subdomains[Math.abs(x + y) % tile.subdomains.length],
+          z: zoom,
+          x: wrappedX,
+          y,
+          // Retina tiles keep labels sharp on scaled posters
+          r: scale > 1 ? '@2x' : ''
+        });
+
+        jobs.push(loadImage(url).then(image => {
+          if (!image) return;
+          ctx.drawImage(
+            image,
+            (x * size - origin.x) * scale,
+            (y * size - origin.y) * scale,
+            size * scale,
+            size * scale
+          );
+        }));
+      }
+    }
+
+    await Promise.all(jobs);
+    return canvas;
+  }
+
+  /**
+   * Load a CORS-enabled image (so the canvas stays exportable)
+   * @param {string} url
+   * @returns {Promise<HTMLImageElement|null>} null if the tile failed
+   */
+  function loadImage(url) {
+    return new Promise(resolve => {
+      const image = new Image();
+      const timer = setTimeout(() => {
+        image.src = '';
+        resolve(null);
+      }, CONFIG.tileTimeout);
+
+      image.crossOrigin = 'anonymous';
+      image.onload = () => {
+        clearTimeout(timer);
+        resolve(image);
+      };
+      image.onerror = () => {
+        clearTimeout(timer);
+        console.warn('[PosterModule] Tile failed:', url);
+        resolve(null);
+      };
+      image.src = url;
+    });
+  }
+
+  // =====================================================
+  // PNG
+  // =====================================================
+
+  /**
+   * Render the poster to a PNG
+   * @param {Object} layout
+   * @param {HTMLCanvasElement} basemap
+   * @param {Object} options
+   * @param {number} scale
+   * @returns {Promise<Blob>}
+   */
+  function toPng(layout, basemap, options, scale) {
+    const { theme, map } = layout;
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(layout.width * scale);
+    canvas.height = Math.round(layout.height * scale);
+
+    const ctx = canvas.getContext('2d');
+    ctx.scale(scale, scale);
+    ctx.fillStyle = theme.background;
+    ctx.fillRect(0, 0, layout.width, layout.height);
+
+    // Map and contours
+    ctx.drawImage(basemap, map.x, map.y, map.width, map.height);
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(map.x, map.y, map.width, map.height);
+    ctx.clip();
+    ctx.translate(map.x, map.y);
+    RendererModule.renderTo(ctx, scale);
+    ctx.restore();
+
+    // Header
+    const pad = CONFIG.padding;
+    ctx.textBaseline = 'alphabetic';
+    ctx.fillStyle = theme.text;
+    ctx.font = `600 20px ${CONFIG.fontFamily}`;
+    ctx.fillText(options.title, pad, 30);
+    if (options.subtitle) {
+      ctx.fillStyle = theme.muted;
+      ctx.font = `12px ${CONFIG.fontFamily}`;
+      ctx.fillText(options.subtitle, pad, 50);
+    }
+
+    // Footer: legend (left), scale bar (center), date and attribution (right)
+    const top = layout.footerY;
+    ctx.fillStyle = theme.rule;
+    ctx.fillRect(0, top, layout.width, 1);
+
+    ctx.fillStyle = theme.muted;
+    ctx.font = `11px ${CONFIG.fontFamily}`;
+    ctx.fillText(options.legendTitle || '', pad, top + 22);
+
+    const gradient = ctx.createLinearGradient(pad, 0, pad + CONFIG.legendWidth, 0);
+    legendStops().forEach(({ offset, rgb, alpha }) => gradient.addColorStop(offset, `rgba(${rgb}, ${alpha})`));
+    ctx.fillStyle = gradient;
+    ctx.fillRect(pad, top + 30, CONFIG.legendWidth, 10);
+
+    ctx.fillStyle = theme.muted;
+    ctx.fillText('低', pad, top + 56);
+    ctx.textAlign = 'right';
+    ctx.fillText('高', pad + CONFIG.legendWidth, top + 56);
+
+    const bar = layout.scaleBar;
+    const barX = (layout.width - bar.width) / 2;
+    ctx.strokeStyle = theme.text;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(barX, top + 30);
+    ctx.lineTo(barX, top + 38);
+    ctx.lineTo(barX + bar.width, top + 38);
+    ctx.lineTo(barX + bar.width, top + 30);
+    ctx.stroke();
+    ctx.textAlign = 'center';
+    ctx.fillStyle = theme.text;
+    ctx.fillText(bar.label, layout.width / 2, top + 56);
+
+    ctx.textAlign = 'right';
+    ctx.fillStyle = theme.muted;
+    ctx.fillText(formatDate(), layout.width - pad, top + 30);
+    ctx.fillText(CONFIG.attribution, layout.width - pad, top + 48);
+
+    return new Promise((resolve, reject) => {
+      canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('PNG encoding failed')), 'image/png');
+    });
+  }
+
+  // =====================================================
+  // SVG
+  // =====================================================
+
+  /**
+   * Render the poster to an SVG document
+   * @param {Object} layout
+   * @param {HTMLCanvasElement} basemap
+   * @param {Object} options
+   * @param {number} scale - Sets the nominal size; content stays vector
+   * @returns {Blob}
+   */
+  function toSvg(layout, basemap, options, scale) {
+    const { theme, map, scaleBar: bar } = layout;
+    const pad = CONFIG.padding;
+    const top = layout.footerY;
+    const font = escapeXml(CONFIG.fontFamily);
+    const barX = (layout.width - bar.width) / 2;
+
+    const stops = legendStops()
+      .map(({ offset, rgb, alpha }) => `<stop offset="${offset}" stop-color="rgb(${rgb})" stop-opacity="${alpha}"/>`)
+      .join('');
+
+    const parts = [
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${layout.width * scale}" height="${layout.height * scale}" viewBox="0 0 ${layout.width} ${layout.height}" font-family="${font}">`,
+      `<defs><linearGradient id="legend">${stops}</linearGradient>`,
+      `<clipPath id="map-clip"><rect x="0" y="0" width="${map.width}" height="${map.height}"/></clipPath></defs>`,
+      `<rect width="${layout.width}" height="${layout.height}" fill="${theme.background}"/>`,
+
+      // Map and contours
+      `<image href="${basemap.toDataURL('image/png')}" x="${map.x}" y="${map.y}" width="${map.width}" height="${map.height}"/>`,
+      `<g transform="translate(${map.x} ${map.y})" clip-path="url(#map-clip)" fill="none" stroke-linecap="round" stroke-linejoin="round">`,
+      reliefToSvg(RendererModule.getRelief()),
+      contoursToSvg(RendererModule.getContours()),
+      labelsToSvg(RendererModule.getLabels()),
+      highlightToSvg(RendererModule.getHighlight()),
+      '</g>',
+
+      // Header
+      `<text x="${pad}" y="30" font-size="20" font-weight="600" fill="${theme.text}">${escapeXml(options.title)}</text>`,
+      options.subtitle
+        ? `<text x="${pad}" y="50" font-size="12" fill="${theme.muted}">${escapeXml(options.subtitle)}</text>`
+        : '',
+
+      // Footer
+      `<rect x="0" y="${top}" width="${layout.width}" height="1" fill="${theme.rule}"/>`,
+      `<g font-size="11" fill="${theme.muted}">`,
+      `<text x="${pad}" y="${top + 22}">${escapeXml(options.legendTitle || '')}</text>`,
+      `<rect x="${pad}" y="${top + 30}" width="${CONFIG.legendWidth}" height="10" fill="url(#legend)"/>`,
+      `<text x="${pad}" y="${top + 56}">低</text>`,
+      `<text x="${pad + CONFIG.legendWidth}" y="${top + 56}" text-anchor="end">高</text>`,
+      `<path d="M${round(barX)} ${top + 30}V${top + 38}H${round(barX + bar.width)}V${top + 30}" fill="none" stroke="${theme.text}" stroke-width="2"/>`,
+      `<text x="${layout.width / 2}" y="${top + 56}" text-anchor="middle" fill="${theme.text}">${bar.label}</text>`,
+      `<text x="${layout.width - pad}" y="${top + 30}" text-anchor="end">${formatDate()}</text>`,
+      `<text x="${layout.width - pad}" y="${top + 48}" text-anchor="end">${escapeXml(CONFIG.attribution)}</text>`,
+      '</g>',
+      '</svg>'
+    ];
+
+    return new Blob([parts.join('\n')], { type: 'image/svg+xml' });
+  }
+
+  /**
+   * Contour levels as SVG paths, styled like the canvas renderer
+   * (filled bands use the same even-odd construction as RendererModule)
+   * @param {Array|null} contours - In geographic coordinates
+   * @returns {string}
+   */
+  function contoursToSvg(contours) {
+    const config = RendererModule.getConfig();
+    if (config.relief === 'only') return '';
+
+    const sorted = [...(contours || [])]
+      .sort((a, b) => a.normalizedValue - b.normalizedValue)
+      .map(contour => ({
+        normalizedValue: contour.normalizedValue,
+        pathData: toPathData(RendererModule.toContainerPixels(contour.coordinates), true)
+      }));
+    const paths = [];
+
+    if (config.style !== 'lines') {
+      sorted.forEach(({ normalizedValue, pathData }, index) => {
+        const color = RendererModule.getColor(normalizedValue);
+        const next = sorted[index + 1];
+        paths.push(`<path d="${pathData}${next ? next.pathData : ''}" fill="rgb(${color.r},${color.g},${color.b})" fill-opacity="${config.fillOpacity}" fill-rule="evenodd" stroke="none"/>`);
+      });
+    }
+
+    if (config.style !== 'filled') {
+      sorted.forEach(({ normalizedValue, pathData }) => {
+        const color = RendererModule.getColor(normalizedValue);
+        const width = round(RendererModule.getLineWidth(normalizedValue));
+        paths.push(`<path d="${pathData}" stroke="rgb(${color.r},${color.g},${color.b})" stroke-opacity="${round(color.a)}" stroke-width="${width}"/>`);
+      });
+    }
+
+    return paths.join('\n');
+  }
+
+  /**
+   * Contour value labels with their halo
+   * @param {Array} labels - From RendererModule.getLabels()
+   * @returns {string}
+   */
+  function labelsToSvg(labels) {
+    if (labels.length === 0) return '';
+
+    const config = RendererModule.getConfig();
+    const colors = RendererModule.getLabelColors();
+    const texts = labels.map(({ x, y, angle, text }) => {
+      const degrees = round(angle * 180 / Math.PI);
+      return `<text x="${round(x)}" y="${round(y)}" transform="rotate(${degrees} ${round(x)} ${round(y)})">${escapeXml(text)}</text>`;
+    });
+
+    return [
+      `<g font-size="${config.labelFontSize}" font-weight="${config.labelFontWeight}" text-anchor="middle" dominant-baseline="central" fill="${colors.text}" stroke="${colors.halo}" stroke-width="${config.labelHaloWidth * 2}" stroke-linejoin="round" paint-order="stroke">`,
+      ...texts,
+      '</g>'
+    ].join('\n');
+  }
+
+  /**
+   * Hillshade raster as an embedded image
+   * @param {Object|null} relief - From RendererModule.getRelief()
+   * @returns {string}
+   */
+  function reliefToSvg(relief) {
+    if (!relief || RendererModule.getConfig().relief === 'off') return '';
+
+    const { south, west, north, east } = relief.bounds;
+    const [[[[left, top], [right, bottom]]]] = RendererModule.toContainerPixels([[[[west, north], [east, south]]]]);
+    return `<image href="${relief.canvas.toDataURL('image/png')}" x="${round(left)}" y="${round(top)}" width="${round(right - left)}" height="${round(bottom - top)}" preserveAspectRatio="none"/>`;
+  }
+
+  /**
+   * Highlighted area (selected valley) as an SVG path
+   * @param {Array|null} coordinates - Geographic MultiPolygon coordinates
+   * @returns {string}
+   */
+  function highlightToSvg(coordinates) {
+    if (!coordinates) return '';
+    const config = RendererModule.getConfig();
+    return `<path d="${toPathData(RendererModule.toContainerPixels(coordinates), true)}" fill="${config.highlightFill}" fill-rule="evenodd" stroke="${config.highlightStroke}" stroke-width="2" stroke-dasharray="${config.highlightDash.join(' ')}"/>`;
+  }
+
+  /**
+   * MultiPolygon rings to SVG path data
+   * @param {Array} coordinates - Nested array of polygon coordinates (pixels)
+   * @param {boolean} [close] - Close each ring
+   * @returns {string}
+   */
+  function toPathData(coordinates, close = false) {
+    const parts = [];
+    coordinates.forEach(polygon => {
+      polygon.forEach(ring => {
+        if (ring.length < 2) return;
+        parts.push('M' + ring.map(([x, y]) => `${round(x)} ${round(y)}`).join('L') + (close ? 'Z' : ''));
+      });
+    });
+    return parts.join('');
+  }
+
+  // =====================================================
+  // Helpers
+  // =====================================================
+
+  /**
+   * Legend gradient stops from the renderer's color ramp
+   * (a little more opaque than the lines so the bar reads on paper)
+   * @returns {Array<{offset: number, rgb: string, alpha: number}>}
+   */
+  function legendStops() {
+    return RendererModule.getConfig().colorStops.map(({ pos, color }) => ({
+      offset: pos,
+      rgb: `${color.r}, ${color.g}, ${color.b}`,
+      alpha: round(Math.min(1, color.a + 0.2))
+    }));
+  }
+
+  /**
+   * Today's date for the footer
+   * @returns {string}
+   */
+  function formatDate() {
+    return new Date().toLocaleDateString('zh-TW', { year: 'numeric', month: '2-digit', day: '2-digit' });
+  }
+
+  /**
+   * Round to 0.01 px (keeps SVG files small)
+   * @param {number} value
+   * @returns {number}
+   */
+  function round(value) {
+    return Math.round(value * 100) / 100;
+  }
+
+  /**
+   * Escape text for XML content and attributes
+   * @param {string} text
+   * @returns {string}
+   */
+  function escapeXml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  /**
+   * Update configuration
+   * @param {Object} newConfig
+   */
+  function updateConfig(newConfig) {
+    Object.assign(CONFIG, newConfig);
+  }
+
+  /**
+   * Get configuration
+   */
+  function getConfig() {
+    return { ...CONFIG };
+  }
+
+  // Public API
+  return {
+    create,
+    updateConfig,
+    getConfig
+  };
+})();
@@ -0,0 +1,549 @@
+/**
+ * registry.js - Taiwan Government Facility Registry Importer
+ * 關懷地景 The Topography of Care
+ *
+ * Imports MOHW / local-government open-data CSVs (機構名冊) and maps them
+ * onto the app's resource types. Registries either carry WGS84 lat/lng or
+ * TWD97 TM2 (EPSG:3826) X/Y coordinates, which are converted here. Rows
+ * with only an address are kept aside until the user asks to geocode them
+ * (Nominatim, rate-limited, results cached in CacheModule). The imported
+ * facilities are merged into the active data source as a supplement, with
+ * duplicates of OSM features folded into the OSM record.
+ */
+
+const RegistryModule = (() => {
+  // Configuration
+  const CONFIG = {
+    supplementId: 'registry',
+
+    // TWD97 TM2 zone 121 (EPSG:3826) on the GRS80 ellipsoid
+    twd97: {
+      a: 6378137.0,
+      f: 1 / 298.257222101,
+      k0: 0.9999,
+      lon0: 121,           // Central meridian (degrees)
+      falseEasting: 250000
+    },
+
+    // Duplicate detection against OSM (same type only)
+    mergeDistance: 60,       // meters: always the same facility
+    mergeNameDistance: 250,  // meters: same facility if names match
+
+    // Address geocoding for rows without coordinates (opt-in, see
+    // geocodePending). Nominatim's usage policy allows one request per
+    // second and no bulk jobs, hence the interval and the per-run limit.
+    geocoder: {
+      endpoint: 'https://nominatim.openstreetmap.org/search',
+      minInterval: 1100,        // ms between requests
+      maxPerRun: 300,           // Addresses per geocodePending() call
+      cachePrefix: 'geocode:'   // Namespace within CacheModule
+    },
+
+    // Rows whose category/name match no keyword use this type
+    // (the MOHW registries are welfare institutions by default)
+    fallbackType: 'social',
+
+    // Column aliases (compared lower-cased, whitespace removed)
+    columns: {
+      name: ['機構名稱', '名稱', '單位名稱', '院所名稱', '據點名稱', '機構', 'name'],
+      address: ['地址', '機構地址', '地址全址', '住址', '據點地址', 'address'],
+      category: ['類別', '機構類別', '機構類型', '類型', '型態', '服務類型', '業別', '種類', 'category', 'type'],
+      phone: ['電話', '聯絡電話', '機構電話', 'phone'],
+      lat: ['緯度', 'lat', 'latitude', 'wgs84緯度', 'wgs84_lat'],
+      lng: ['經度', 'lng', 'lon', 'longitude', 'wgs84經度', 'wgs84_lng'],
+      x: ['twd97x', 'twd97_x', 'x坐標', 'x座標', '橫坐標', 'twd97橫坐標', 'x'],
+      y: ['twd97y', 'twd97_y', 'y坐標', 'y座標', '縱坐標', 'twd97縱坐標', 'y']
+    }
+  };
+
+  // Imported registry resources
+  let resources = [];
+
+  // Imported file summaries: [{name, count, converted, pending, skipped}]
+  let files = [];
+
+  // Address-only rows waiting for geocoding: [{element, address}]
+  let pending = [];
+
+  // Bumped by clear() so a running geocodePending() stops
+  let generation = 0;
+
+  // Synthetic ids (registries have no OSM id)
+  let nextId = 1;
+
+  /**
+   * Supplement merged into every DataSourceModule fetch
+   */
+  const supplement = {
+    id: CONFIG.supplementId,
+    label: '政府開放資料',
+    fetchResources,
+    merge
+  };
+
+  // =====================================================
+  // Coordinates
+  // =====================================================
+
+  /**
+   * Convert TWD97 TM2 (EPSG:3826) to WGS84 latitude/longitude
+   * Inverse transverse Mercator (Snyder, USGS PP 1395). TWD97 is realized on
+   * GRS80/ITRF94 and agrees with WGS84 well below map precision.
+   * @param {number} x - Easting in meters
+   * @param {number} y - Northing in meters
+   * @returns {{lat: number, lng: number}}
+   */
+  function twd97ToWgs84(x, y) {
+    const { a, f, k0, lon0, falseEasting } = CONFIG.twd97;
+    const e2 = f * (2 - f);
+    const ep2 = e2 / (1 - e2);
+    const e1 = (1 - Math.sqrt(1 - e2)) / (1 + Math.sqrt(1 - e2));
+
+    // Footpoint latitude
+    const M = y / k0;
+    const mu = M / (a * (1 - e2 / 4 - 3 * e2 * e2 / 64 - 5 * e2 * e2 * e2 / 256));
+    const phi1 = mu +
+      (3 * e1 / 2 - 27 * Math.pow(e1, 3) / 32) * Math.sin(2 * mu) +
+      (21 * e1 * e1 / 16 - 55 * Math.pow(e1, 4) / 32) * Math.sin(4 * mu) +
+      (151 * Math.pow(e1, 3) / 96) * Math.sin(6 * mu) +
+      (1097 * Math.pow(e1, 4) / 512) * Math.sin(8 * mu);
+
+    const sinPhi1 = Math.sin(phi1);
+    const cosPhi1 = Math.cos(phi1);
+    const tanPhi1 = Math.tan(phi1);
+
+    const C1 = ep2 * cosPhi1 * cosPhi1;
+    const T1 = tanPhi1 * tanPhi1;
+    const N1 = a / Math.sqrt(1 - e2 * sinPhi1 * sinPhi1);
+    const R1 = a * (1 - e2) / Math.pow(1 - e2 * sinPhi1 * sinPhi1, 1.5);
+    const D = (x - falseEasting) / (N1 * k0);
+
+    const lat = phi1 - (N1 * tanPhi1 / R1) * (
+      D * D / 2 -
+      (5 + 3 * T1 + 10 * C1 - 4 * C1 * C1 - 9 * ep2) * Math.pow(D, 4) / 24 +
+      (61 + 90 * T1 + 298 * C1 + 45 * T1 * T1 - 252 * ep2 - 3 * C1 * C1) * Math.pow(D, 6) / 720
+    );
+
+    const lng = (lon0 * Math.PI / 180) + (
+      D -
+      (1 + 2 * T1 + C1) * Math.pow(D, 3) / 6 +
+      (5 - 2 * C1 + 28 * T1 - 3 * C1 * C1 + 8 * ep2 + 24 * T1 * T1) * Math.pow(D, 5) / 120
+    ) / cosPhi1;
+
+    return {
+      lat: lat * 180 / Math.PI,
+      lng: lng * 180 / Math.PI
+    };
+  }
+
+  /**
+   * Check whether a pair looks like TWD97 TM2 meters over Taiwan main island
+   * @param {number} x
+   * @param {number} y
+   * @returns {boolean}
+   */
+  function isTwd97(x, y) {
+    return x > 100000 && x < 400000 && y > 2400000 && y < 2800000;
+  }
+
+  // =====================================================
+  // Import
+  // =====================================================
+
+  /**
+   * Import registry CSV files
+   * @param {FileList|Array<File>} fileList
+   * @returns {Promise<{loaded: Array, errors: Array}>}
+   */
+  async function importFiles(fileList) {
+    const loaded = [];
+    const errors = [];
+
+    for (const file of Array.from(fileList)) {
+      try {
+        const text = await readText(file);
+        const result = parseRegistry(text, file.name);
+
+        if (result.resources.length === 0 && result.pending.length === 0) {
+          throw new Error('找不到可辨識的機構資料');
+        }
+
+        resources = resources.concat(result.resources);
+        pending = pending.concat(result.pending);
+        const summary = {
+          name: file.name,
+          count: result.resources.length,
+          converted: result.converted,
+          pending: result.pending.length,
+          skipped: result.skipped
+        };
+        files.push(summary);
+        loaded.push(summary);
+
+        console.log(`[RegistryModule] Imported ${summary.count} facilities from ${file.name}` +
+          ` (${summary.converted} converted from TWD97, ${summary.pending} address-only,` +
+          ` skipped ${JSON.stringify(summary.skipped)})`);
+      } catch (error) {
+        console.warn(`[RegistryModule] Failed to import ${file.name}:`, error.message);
+        errors.push({ name: file.name, message: error.message });
+      }
+    }
+
+    if (loaded.length > 0) {
+      DataSourceModule.addSupplement(supplement);
+    }
+
+    return { loaded, errors };
+  }
+
+  /**
+   * Read file text, falling back to Big5 for legacy government exports
+   * @param {File} file
+   * @returns {Promise<string>}
+   */
+  async function readText(file) {
+    const buffer = await file.arrayBuffer();
+    const utf8 = new TextDecoder('utf-8').decode(buffer);
+    if (!utf8.includes('\uFFFD')) return utf8;
+
+    try {
+      return new TextDecoder('big5').decode(buffer);
+    } catch (e) {
+      return utf8;
+    }
+  }
+
+  /**
+   * Parse a registry CSV into resources
+   * @param {string} text
+   * @param {string} datasetName - Shown in the facility card
+   * @returns {{resources: Array, pending: Array, converted: number, skipped: Object}}
+   *   pending: address-only rows for geocodePending(), as {element, address}
+   */
+  function parseRegistry(text, datasetName) {
+    const rows = FileSourceModule.parseCSVRows(text);
+    if (rows.length < 2) {
+      throw new Error('CSV 沒有資料列');
+    }
+
+    const header = rows[0];
+    const col = {};
+    Object.entries(CONFIG.columns).forEach(([field, aliases]) => {
+      col[field] = findColumn(header, aliases);
+    });
+
+    if (col.name < 0) {
+      throw new Error('找不到機構名稱欄位');
+    }
+
+    const skipped = { noCoordinates: 0, invalid: 0 };
+    let converted = 0;
+    const elements = [];
+    const pendingRows = [];
+
+    rows.slice(1).forEach(row => {
+      const cell = field => (col[field] >= 0 ? (row[col[field]] || '').trim() : '');
+      const name = cell('name');
+      const category = cell('category');
+      const tags = {
+        name,
+        'registry:dataset': datasetName,
+        'registry:category': category
+      };
+      if (cell('address')) tags['addr:full'] = cell('address');
+      if (cell('phone')) tags.phone = cell('phone');
+
+      const element = {
+        type: 'node',
+        id: nextId++,
+        tags,
+        resourceType: classify(category, name)
+      };
+
+      let lat = parseFloat(cell('lat'));
+      let lng = parseFloat(cell('lng'));
+
+      if (!Number.isFinite(lat) || !Number.isFinite(lng)) {
+        const x = parseFloat(cell('x'));
+        const y = parseFloat(cell('y'));
+
+        if (Number.isFinite(x) && Number.isFinite(y) && isTwd97(x, y)) {
+          ({ lat, lng } = twd97ToWgs84(x, y));
+          converted++;
+        } else if (Number.isFinite(x) && Number.isFinite(y) && isTwd97(y, x)) {
+          ({ lat, lng } = twd97ToWgs84(y, x));  // Columns swapped in source
+          converted++;
+        } else if (Number.isFinite(x) && Number.isFinite(y)) {
+          // Plain "X/Y" columns holding longitude/latitude
+          lat = y;
+          lng = x;
+        } else if (tags['addr:full']) {
+          pendingRows.push({ element, address: tags['addr:full'] });
+          return;
+        } else {
+          skipped.noCoordinates++;
+          return;
+        }
+      }
+
+      elements.push({ ...element, lat, lon: lng });
+    });
+
+    const parsed = OverpassModule.parseElements(elements, { source: 'registry' });
+    skipped.invalid = elements.length - parsed.length;
+
+    return { resources: parsed, pending: pendingRows, converted, skipped };
+  }
+
+  // =====================================================
+  // Geocoding
+  // =====================================================
+
+  /**
+   * Locate address-only rows through Nominatim
+   * Only runs when the user asks for it. Requests are sequential and
+   * rate-limited; every answer (also "not found") is cached, so a second
+   * run or a re-import of the same registry costs no requests.
+   * @param {Function} [onProgress] - Called with (done, total) after each address
+   * @returns {Promise<{located: number, failed: number, remaining: number}>}
+   */
+  async function geocodePending(onProgress) {
+    const run = generation;
+    const batch = pending.slice(0, CONFIG.geocoder.maxPerRun);
+    const elements = [];
+    const done = new Set();
+    let failed = 0;
+    let lastRequest = 0;
+
+    for (let i = 0; i < batch.length; i++) {
+      if (run !== generation) break;  // Registries were cleared
+
+      const key = CONFIG.geocoder.cachePrefix + batch[i].address;
+      const cached = await CacheModule.get(key);
+      let location = cached ? cached.data : undefined;
+
+      if (location === undefined) {
+        const wait = lastRequest + CONFIG.geocoder.minInterval - Date.now();
+        if (wait > 0) await new Promise(resolve => setTimeout(resolve, wait));
+        lastRequest = Date.now();
+
+        try {
+          location = await geocode(batch[i].address);
+          await CacheModule.set(key, location);
+        } catch (error) {
+          // Network or server error: leave the row pending for a later run
+          console.warn('[RegistryModule] Geocoding failed:', error.message);
+          if (onProgress) onProgress(i + 1, batch.length);
+          continue;
+        }
+      }
+
+      if (location) {
+        elements.push({ ...batch[i].element, lat: location.lat, lon: location.lng });
+      } else {
+        failed++;
+      }
+      done.add(batch[i]);
+      if (onProgress) onProgress(i + 1, batch.length);
+    }
+
+    if (run !== generation) {
+      return { located: 0, failed: 0, remaining: pending.length };
+    }
+
+    pending = pending.filter(row => !done.has(row));
+
+    const located = OverpassModule.parseElements(elements, { source: 'registry' });
+    failed += elements.length - located.length;  // Outside Taiwan
+    if (located.length > 0) {
+      resources = resources.concat(located);
+      DataSourceModule.addSupplement(supplement);
+    }
+
+    console.log(`[RegistryModule] Geocoded ${located.length} addresses (${failed} not found, ${pending.length} remaining)`);
+    return { located: located.length, failed, remaining: pending.length };
+  }
+
+  /**
+   * Look up one address
+   * @param {string} address
+   * @returns {Promise<{lat: number, lng: number}|null>} Null if not found
+   * @throws {Error} On network or HTTP errors
+   */
+  async function geocode(address) {
+    const url = `${CONFIG.geocoder.endpoint}?format=jsonv2&limit=1&countrycodes=tw&q=${encodeURIComponent(address)}`;
+    const response = await fetch(url, { headers: { 'Accept-Language': 'zh-TW' } });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+
+    const [hit] = await response.json();
+    return hit ? { lat: parseFloat(hit.lat), lng: parseFloat(hit.lon) } : null;
+  }
+
+  /**
+   * Number of address-only rows waiting for geocodePending()
+   * @returns {number}
+   */
+  function getPendingCount() {
+    return pending.length;
+  }
+
+  /**
+   * Find a column index by aliases (ignores case and whitespace)
+   * @param {Array<string>} header
+   * @param {Array<string>} aliases
+   * @returns {number} Index or -1
+   */
+  function findColumn(header, aliases) {
+    const normalized = header.map(h => h.toLowerCase().replace(/\s+/g, ''));
+    for (const alias of aliases) {
+      const index = normalized.indexOf(alias);
+      if (index >= 0) return index;
+    }
+    return -1;
+  }
+
+  /**
+   * Map a registry category (or facility name) to a resource type
+   * using the keywords in ResourceTypeModule
+   * @param {string} category
+   * @param {string} name
+   * @returns {string}
+   */
+  function classify(category, name) {
+    return ResourceTypeModule.classifyText(category) ||
+      ResourceTypeModule.classifyText(name) ||
+      CONFIG.fallbackType;
+  }
+
+  // =====================================================
+  // Supplement
+  // =====================================================
+
+  /**
+   * Return imported facilities inside a bbox
+   * @param {string} bbox - "south,west,north,east"
+   * @returns {Promise<Array>}
+   */
+  async function fetchResources(bbox) {
+    const [south, west, north, east] = bbox.split(',').map(parseFloat);
+    return resources.filter(r =>
+      r.lat >= south && r.lat <= north && r.lng >= west && r.lng <= east
+    );
+  }
+
+  /**
+   * Merge registry facilities into primary (OSM) resources
+   * A registry facility of the same type close to an OSM feature (or
+   * moderately close with a matching name) is treated as the same place:
+   * the primary record is kept and tagged as confirmed by the registry.
+   * Several registry rows may confirm one record (e.g. the same clinic in
+   * two datasets); all of them are merged into it.
+   * @param {Array} primary - From the active source (OSM or a local file)
+   * @param {Array} extra - Registry resources
+   * @returns {Array}
+   */
+  function merge(primary, extra) {
+    const merged = primary.slice();
+    const matches = new Map();  // merged index -> [{reg, dist}]
+
+    extra.forEach(reg => {
+      let best = -1;
+      let bestDist = Infinity;
+
+      primary.forEach((res, i) => {
+        if (res.type !== reg.type) return;
+        const dist = distanceMeters(res, reg);
+        const sameName = res.name && reg.name && normalizeName(res.name) === normalizeName(reg.name);
+        const limit = sameName ? CONFIG.mergeNameDistance : CONFIG.mergeDistance;
+        if (dist <= limit && dist < bestDist) {
+          best = i;
+          bestDist = dist;
+        }
+      });
+
+      if (best >= 0) {
+        if (!matches.has(best)) matches.set(best, []);
+        matches.get(best).push({ reg, dist: bestDist });
+      } else {
+        merged.push(reg);
+      }
+    });
+
+    matches.forEach((list, i) => {
+      const res = merged[i];
+      const regs = list.sort((a, b) => a.dist - b.dist).map(match => match.reg);
+      const closest = regs[0];
+      const datasets = [...new Set(regs.map(reg => reg.tags['registry:dataset']).filter(Boolean))];
+
+      merged[i] = {
+        ...res,
+        sources: [...new Set([...(res.sources || [res.source || 'osm']), 'registry'])],
+        registry: {
+          name: closest.name,
+          dataset: datasets.join('、'),
+          category: closest.tags['registry:category'],
+          count: regs.length
+        }
+      };
+    });
+
+    return merged;
+  }
+
+  /**
+   * Approximate ground distance between two resources
+   * @returns {number} Meters
+   */
+  function distanceMeters(a, b) {
+    const metersPerDegree = 111320;
+    const dLat = (a.lat - b.lat) * metersPerDegree;
+    const dLng = (a.lng - b.lng) * metersPerDegree * Math.cos(a.lat * Math.PI / 180);
+    return Math.sqrt(dLat * dLat + dLng * dLng);
+  }
+
+  /**
+   * Normalize a facility name for comparison
+   * @param {string} name
+   * @returns {string}
+   */
+  function normalizeName(name) {
+    return name.replace(/[\s()（）·・\-－]/g, '').replace(/^(臺|台)/, '台');
+  }
+
+  /**
+   * Remove all imported registries
+   */
+  function clear() {
+    resources = [];
+    files = [];
+    pending = [];
+    generation++;
+    DataSourceModule.removeSupplement(CONFIG.supplementId);
+    console.log('[RegistryModule] Cleared imported registries');
+  }
+
+  /**
+   * Get imported file summaries
+   * @returns {Array}
+   */
+  function getFiles() {
+    return files.slice();
+  }
+
+  // Public API
+  return {
+    importFiles,
+    parseRegistry,
+    readText,
+    twd97ToWgs84,
+    isTwd97,
+    classify,
+    merge,
+    geocodePending,
+    getPendingCount,
+    clear,
+    getFiles
+  };
+})();
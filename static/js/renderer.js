@@ -2,27 +2,150 @@
  * renderer.js - Canvas Rendering for Contours
  * 關懷地景 The Topography of Care
  *
- * Renders contour lines on a canvas overlay with gradient coloring
- * and optional animation effects.
+ * Renders contour lines with gradient coloring and optional animation
+ * effects on a Leaflet layer. Contours are kept in geographic coordinates
+ * and the layer's canvas sits in its own map pane, so it moves with the map
+ * while dragging and follows zoom animations; it is redrawn (projected
+ * anew) after every move.
  */
 
 const RendererModule = (() => {
   // Private variables
-  let canvas = null;
+  let layer = null;
   let ctx = null;
   let animationId = null;
 
+  // Device pixels per CSS pixel of the context being drawn (shadows are
+  // not affected by the canvas transform, so glow is scaled by hand)
+  let pixelRatio = 1;
+
+  // Media query matching the current devicePixelRatio
+  let pixelRatioQuery = null;
+
+  // Current contours and highlighted area (geographic [lng, lat] coordinates)
+  let currentContours = null;
+  let highlight = null;
+
+  // Hillshade raster: {canvas, bounds} (one pixel per grid cell)
+  let relief = null;
+
+  // User-edited palette: [{pos, color: '#rrggbb'}], or null
+  let customStops = null;
+
+  /**
+   * Built-in color palettes, from low to high, with stops per map theme.
+   * Light tiles are multiplied, so high values must be dark to stand out;
+   * Dark Matter is screened, so they must be bright. The perceptual
+   * palettes therefore run reversed on light tiles, and every palette uses
+   * lighter, more opaque colors on dark tiles.
+   */
+  const PALETTES = {
+    // care-green (#84cc16) -> care-gold (#fbbf24) -> care-amber (#f59e0b)
+    care: {
+      label: '關懷（綠→金→紅）',
+      light: [
+        stop(0.0, '#84cc16', 0.3),   // Green (low)
+        stop(0.3, '#84cc16', 0.5),   // Green
+        stop(0.5, '#fbbf24', 0.6),   // Gold (mid)
+        stop(0.7, '#f59e0b', 0.7),   // Amber
+        stop(1.0, '#ef4444', 0.8)    // Red (high)
+      ],
+      dark: [
+        stop(0.0, '#a3e635', 0.45),
+        stop(0.3, '#a3e635', 0.6),
+        stop(0.5, '#fcd34d', 0.75),
+        stop(0.7, '#fbbf24', 0.85),
+        stop(1.0, '#f87171', 0.95)
+      ]
+    },
+    viridis: {
+      label: 'Viridis（色盲友善）',
+      light: [
+        stop(0.0, '#fde725', 0.45),
+        stop(0.25, '#5ec962', 0.55),
+        stop(0.5, '#21918c', 0.65),
+        stop(0.75, '#3b528b', 0.75),
+        stop(1.0, '#440154', 0.85)
+      ],
+      dark: [
+        stop(0.0, '#31688e', 0.45),
+        stop(0.33, '#21918c', 0.6),
+        stop(0.66, '#5ec962', 0.75),
+        stop(1.0, '#fde725', 0.9)
+      ]
+    },
+    cividis: {
+      label: 'Cividis（色盲友善）',
+      light: [
+        stop(0.0, '#fee838', 0.45),
+        stop(0.25, '#bcaf6f', 0.55),
+        stop(0.5, '#7c7b78', 0.65),
+        stop(0.75, '#414d6b', 0.75),
+        stop(1.0, '#00224e', 0.85)
+      ],
+      dark: [
+        stop(0.0, '#575c6d', 0.45),
+        stop(0.5, '#a59c74', 0.7),
+        stop(1.0, '#fee838', 0.9)
+      ]
+    },
+    contrast: {
+      label: '高對比',
+      light: [
+        stop(0.0, '#60a5fa', 0.5),
+        stop(0.5, '#1d4ed8', 0.75),
+        stop(1.0, '#0f172a', 0.95)
+      ],
+      dark: [
+        stop(0.0, '#3b82f6', 0.5),
+        stop(0.5, '#93c5fd', 0.75),
+        stop(1.0, '#ffffff', 0.95)
+      ]
+    }
+  };
+
   // Configuration
   const CONFIG = {
-    // Color gradient from low to high energy
-    // care-green (#84cc16) -> care-gold (#fbbf24) -> care-amber (#f59e0b)
-    colorStops: [
-      { pos: 0.0, color: { r: 132, g: 204, b: 22, a: 0.3 } },   // Green (low)
-      { pos: 0.3, color: { r: 132, g: 204, b: 22, a: 0.5 } },   // Green
-      { pos: 0.5, color: { r: 251, g: 191, b: 36, a: 0.6 } },   // Gold (mid)
-      { pos: 0.7, color: { r: 245, g: 158, b: 11, a: 0.7 } },   // Amber
-      { pos: 1.0, color: { r: 239, g: 68, b: 68, a: 0.8 } }     // Red (high)
-    ],
+    // Map pane holding the canvas (between tiles and markers)
+    pane: 'contours',
+    paneZIndex: 350,
+
+    // Extra canvas around the view (fraction of the map size per side), so
+    // contours computed in the margin show while dragging
+    padding: 0.3,
+
+    // Color palette from low to high energy: a PALETTES id or 'custom'
+    palette: 'care',
+    // Opacity of a custom palette from its low to its high end
+    customAlpha: { min: 0.3, max: 0.85 },
+    customStopLimit: { min: 2, max: 7 },
+
+    // Rendering style: 'lines' (contour outlines), 'filled' (hypsometric
+    // tint: each band between two levels filled with its color) or 'both'
+    style: 'lines',
+    fillOpacity: 0.5,  // Band opacity (the pane's opacity and blend apply on top)
+
+    // Hillshade relief: 'off', 'under' (below the contours) or 'only'.
+    // Shadows are drawn black and sunlit slopes white, so the pane's blend
+    // mode (multiply on light tiles, screen on dark) keeps the theme
+    relief: 'off',
+    reliefStrength: 0.6,  // Opacity of the darkest shadow / brightest light
+
+    // Value labels along the contour lines
+    labels: true,
+    labelFontSize: 11,
+    labelFontWeight: 600,
+    labelFontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif',
+    labelMinRingLength: 150,  // Shortest ring (px) that gets a label
+    labelSpacing: 320,        // Distance (px) between labels on one ring
+    labelPadding: 6,          // Free space (px) kept around each label
+    labelMaxBend: 0.9,        // Minimum chord / arc ratio under a label (straightness)
+    labelHaloWidth: 3,
+    // Text and halo per map theme; the halo masks the line under the text
+    labelColors: {
+      light: { text: '#374151', halo: '#ffffff' },
+      dark: { text: '#f3f4f6', halo: '#111827' }
+    },
 
     // Line styling
     baseLineWidth: 1.5,
@@ -36,99 +159,629 @@ const RendererModule = (() => {
     // Animation (subtle breathing)
     breathingEnabled: false,
     breathingPeriod: 15000,  // 15 seconds
-    breathingAmplitude: 0.05  // 5% scale variation
+    breathingAmplitude: 0.05,  // 5% scale variation
+
+    // Highlighted area (e.g. a selected silent valley)
+    highlightStroke: 'rgba(37, 99, 235, 0.9)',
+    highlightFill: 'rgba(59, 130, 246, 0.15)',
+    highlightDash: [6, 4]
   };
 
   /**
-   * Initialize the renderer
+   * Leaflet layer owning the contour canvas
+   * Positioning follows L.Canvas: the canvas covers the padded view in
+   * layer coordinates and is CSS-transformed during zoom animations.
+   */
+  const ContourLayer = L.Layer.extend({
+    initialize(options) {
+      L.setOptions(this, options);
+    },
+
+    onAdd() {
+      this._canvas = L.DomUtil.create('canvas', 'contour-layer');
+      this._canvas.setAttribute('aria-hidden', 'true');
+      if (this._zoomAnimated) {
+        L.DomUtil.addClass(this._canvas, 'leaflet-zoom-animated');
+      }
+      this.getPane().appendChild(this._canvas);
+      this._ctx = this._canvas.getContext('2d');
+      this._reset();
+    },
+
+    onRemove() {
+      L.DomUtil.remove(this._canvas);
+    },
+
+    getEvents() {
+      const events = {
+        viewreset: this._reset,
+        zoom: this._onZoom,
+        moveend: this._reset
+      };
+      if (this._zoomAnimated) {
+        events.zoomanim = this._onAnimZoom;
+      }
+      return events;
+    },
+
+    _onAnimZoom(event) {
+      this._updateTransform(event.center, event.zoom);
+    },
+
+    _onZoom() {
+      this._updateTransform(this._map.getCenter(), this._map.getZoom());
+    },
+
+    _updateTransform(center, zoom) {
+      const map = this._map;
+      const scale = map.getZoomScale(zoom, this._zoom);
+      const viewHalf = map.getSize().multiplyBy(0.5 + CONFIG.padding);
+      const currentCenterPoint = map.project(this._center, zoom);
+      const topLeftOffset = viewHalf.multiplyBy(-scale).add(currentCenterPoint)
+        .subtract(map._getNewPixelOrigin(center, zoom));
+
+      L.DomUtil.setTransform(this._canvas, topLeftOffset, scale);
+    },
+
+    _reset() {
+      const map = this._map;
+      const size = map.getSize();
+      const min = map.containerPointToLayerPoint(size.multiplyBy(-CONFIG.padding)).round();
+      this._bounds = L.bounds(min, min.add(size.multiplyBy(1 + CONFIG.padding * 2)).round());
+      this._center = map.getCenter();
+      this._zoom = map.getZoom();
+
+      // Backing store in device pixels, drawn in CSS pixels (see redraw)
+      const canvasSize = this._bounds.getSize();
+      const ratio = getPixelRatio();
+      this._canvas.width = Math.round(canvasSize.x * ratio);
+      this._canvas.height = Math.round(canvasSize.y * ratio);
+      this._canvas.style.width = `${canvasSize.x}px`;
+      this._canvas.style.height = `${canvasSize.y}px`;
+      L.DomUtil.setPosition(this._canvas, min);
+      this._updateTransform(this._center, this._zoom);
+
+      this.redraw();
+    },
+
+    /**
+     * Draw the current contours at the current view
+     * @param {number} [scale] - Extra scale about the view center (breathing)
+     */
+    redraw(scale = 1) {
+      const map = this._map;
+      if (!map) return;
+
+      const origin = this._bounds.min;
+      const context = this._ctx;
+      const ratio = this._canvas.width / this._bounds.getSize().x || 1;
+      context.setTransform(1, 0, 0, 1, 0, 0);
+      context.clearRect(0, 0, this._canvas.width, this._canvas.height);
+
+      context.save();
+      context.scale(ratio, ratio);
+      if (scale !== 1) {
+        const center = map.containerPointToLayerPoint(map.getSize().divideBy(2)).subtract(origin);
+        context.translate(center.x, center.y);
+        context.scale(scale, scale);
+        context.translate(-center.x, -center.y);
+      }
+
+      draw(context, latLng => map.latLngToLayerPoint(latLng).subtract(origin), ratio);
+      context.restore();
+    }
+  });
+
+  /**
+   * Initialize the renderer on the map
    */
   function init() {
-    canvas = document.getElementById('contour-canvas');
-    if (!canvas) {
-      console.error('[RendererModule] Canvas element not found');
+    const map = MapModule.getMap();
+    if (!map) {
+      console.error('[RendererModule] Map not initialized');
       return false;
     }
 
-    ctx = canvas.getContext('2d');
+    const pane = map.createPane(CONFIG.pane);
+    pane.style.zIndex = CONFIG.paneZIndex;
+    pane.style.pointerEvents = 'none';
 
-    // Set initial size
-    resize();
+    layer = new ContourLayer({ pane: CONFIG.pane });
+    layer.addTo(map);
 
-    // Listen for window resize
-    window.addEventListener('resize', debounce(resize, 150));
+    watchPixelRatio();
 
     console.log('[RendererModule] Initialized');
     return true;
   }
 
   /**
-   * Sync canvas size to match container (without triggering events)
-   * Call this before rendering to ensure correct dimensions
+   * Current device pixel ratio
+   * @returns {number}
    */
-  function syncSize() {
-    if (!canvas) return;
+  function getPixelRatio() {
+    return window.devicePixelRatio || 1;
+  }
 
-    const rect = canvas.getBoundingClientRect();
-    console.log('[RendererModule] syncSize - CSS rect:', rect.width, 'x', rect.height, 'canvas:', canvas.width, 'x', canvas.height);
+  /**
+   * Re-render at the new resolution when the device pixel ratio changes
+   * (window moved to another monitor, browser zoom). A resolution media
+   * query only matches one ratio, so it is re-created after every change.
+   */
+  function watchPixelRatio() {
+    if (!window.matchMedia) return;
 
-    // Only update if size actually changed
-    if (Math.round(rect.width) !== canvas.width || Math.round(rect.height) !== canvas.height) {
-      canvas.width = Math.round(rect.width);
-      canvas.height = Math.round(rect.height);
-      console.log('[RendererModule] Synced size to', canvas.width, 'x', canvas.height);
+    if (pixelRatioQuery) {
+      pixelRatioQuery.removeEventListener('change', handlePixelRatioChange);
     }
+    pixelRatioQuery = window.matchMedia(`(resolution: ${getPixelRatio()}dppx)`);
+    pixelRatioQuery.addEventListener('change', handlePixelRatioChange);
+  }
+
+  /**
+   * Handle a device pixel ratio change
+   */
+  function handlePixelRatioChange() {
+    console.log('[RendererModule] Device pixel ratio changed to', getPixelRatio());
+    watchPixelRatio();
+    if (layer && layer._map) layer._reset();
   }
 
   /**
-   * Resize canvas to match window (with event dispatch)
+   * Get the pane element holding the contour canvas (for blend styling)
+   * @returns {HTMLElement|null}
    */
-  function resize() {
-    if (!canvas) return;
+  function getContainer() {
+    const map = MapModule.getMap();
+    return map ? map.getPane(CONFIG.pane) : null;
+  }
 
-    const rect = canvas.getBoundingClientRect();
-    const sizeChanged = canvas.width !== rect.width || canvas.height !== rect.height;
+  /**
+   * Clear the contours
+   */
+  function clear() {
+    currentContours = null;
+    relief = null;
+    if (layer) layer.redraw();
+  }
 
-    // Set canvas size to match CSS size
-    canvas.width = rect.width;
-    canvas.height = rect.height;
+  /**
+   * Render contours
+   * @param {Array} contours - Contour objects in geographic coordinates
+   *   (ContourModule.transformToGeo)
+   */
+  function render(contours) {
+    currentContours = contours;
+    if (layer) layer.redraw();
+  }
+
+  /**
+   * Draw contours and highlight into a context
+   * @param {CanvasRenderingContext2D} target
+   * @param {Function} toPoint - L.LatLng-like [lat, lng] => L.Point in target pixels
+   * @param {number} [ratio] - Device pixels per CSS pixel of the target
+   */
+  function draw(target, toPoint, ratio = 1) {
+    const previous = ctx;
+    ctx = target;
+    pixelRatio = ratio;
 
-    console.log('[RendererModule] Resized to', rect.width, 'x', rect.height);
+    try {
+      const sorted = [...(currentContours || [])]
+        .sort((a, b) => a.normalizedValue - b.normalizedValue)
+        .map(contour => ({
+          value: contour.value,
+          normalizedValue: contour.normalizedValue,
+          pixelCoordinates: projectCoordinates(contour.coordinates, toPoint)
+        }));
 
-    // Only dispatch event if size actually changed
-    if (sizeChanged) {
-      document.dispatchEvent(new CustomEvent('renderer:resize'));
+      const showContours = CONFIG.relief !== 'only';
+
+      if (CONFIG.relief !== 'off') {
+        drawRelief(toPoint);
+      }
+      if (showContours && CONFIG.style !== 'lines') {
+        sorted.forEach((contour, index) => {
+          fillBand(contour, sorted[index + 1]);
+        });
+      }
+      if (showContours && CONFIG.style !== 'filled') {
+        sorted.forEach((contour, index) => {
+          renderContour(contour, index, sorted.length);
+        });
+      }
+      if (showContours && CONFIG.labels) {
+        drawLabels(sorted);
+      }
+      drawHighlight(toPoint);
+    } finally {
+      ctx = previous;
     }
   }
 
   /**
-   * Clear the canvas
+   * Render the current contours (and the highlight) into another 2D
+   * context, e.g. a poster canvas, in map container pixels. Drawing uses
+   * the target's current transform, so callers scale / translate it to
+   * place the map.
+   * @param {CanvasRenderingContext2D} target
+   * @param {number} [scale] - Target pixels per CSS pixel (keeps the glow in proportion)
    */
-  function clear() {
+  function renderTo(target, scale = 1) {
+    draw(target, latLng => MapModule.getMap().latLngToContainerPoint(latLng), scale);
+  }
+
+  /**
+   * Project geographic MultiPolygon coordinates
+   * @param {Array} coordinates - [[[[lng, lat], ...]]]
+   * @param {Function} toPoint - [lat, lng] => {x, y}
+   * @returns {Array} [[[[x, y], ...]]]
+   */
+  function projectCoordinates(coordinates, toPoint) {
+    return coordinates.map(polygon =>
+      polygon.map(ring =>
+        ring.map(([lng, lat]) => {
+          const point = toPoint([lat, lng]);
+          return [point.x, point.y];
+        })
+      )
+    );
+  }
+
+  /**
+   * Project geographic MultiPolygon coordinates to map container pixels
+   * @param {Array} coordinates - [[[[lng, lat], ...]]]
+   * @returns {Array} [[[[x, y], ...]]]
+   */
+  function toContainerPixels(coordinates) {
+    const map = MapModule.getMap();
+    return projectCoordinates(coordinates, latLng => map.latLngToContainerPoint(latLng));
+  }
+
+  /**
+   * Highlight an area on top of the contours
+   * @param {Array|null} coordinates - Geographic MultiPolygon coordinates, or null to remove
+   */
+  function setHighlight(coordinates) {
+    highlight = coordinates;
+    if (layer) layer.redraw();
+  }
+
+  /**
+   * Get the highlighted area
+   * @returns {Array|null} Geographic MultiPolygon coordinates
+   */
+  function getHighlight() {
+    return highlight;
+  }
+
+  /**
+   * Place the value labels of the current contours in map container pixels
+   * (for exports drawing them outside a canvas, e.g. SVG)
+   * @returns {Array<{x: number, y: number, angle: number, text: string}>}
+   */
+  function getLabels() {
+    const map = MapModule.getMap();
+    if (!map || !currentContours || !CONFIG.labels || CONFIG.relief === 'only') return [];
+
+    const levels = [...currentContours]
+      .sort((a, b) => a.normalizedValue - b.normalizedValue)
+      .map(contour => ({
+        value: contour.value,
+        pixelCoordinates: toContainerPixels(contour.coordinates)
+      }));
+
+    const measure = document.createElement('canvas').getContext('2d');
+    measure.font = getLabelFont();
+    return placeLabels(levels, text => measure.measureText(text).width);
+  }
+
+  /**
+   * Label colors for the current map theme
+   * @returns {{text: string, halo: string}}
+   */
+  function getLabelColors() {
+    return CONFIG.labelColors[MapModule.getTheme()] || CONFIG.labelColors.light;
+  }
+
+  /**
+   * Get the current contours
+   * @returns {Array|null} Contours in geographic coordinates
+   */
+  function getContours() {
+    return currentContours;
+  }
+
+  /**
+   * Draw the highlighted area, if any
+   * @param {Function} toPoint - [lat, lng] => {x, y}
+   */
+  function drawHighlight(toPoint) {
+    if (!ctx || !highlight) return;
+
+    ctx.save();
+    ctx.beginPath();
+    projectCoordinates(highlight, toPoint).forEach(polygon => {
+      polygon.forEach(ring => {
+        if (ring.length < 2) return;
+        ctx.moveTo(ring[0][0], ring[0][1]);
+        for (let i = 1; i < ring.length; i++) {
+          ctx.lineTo(ring[i][0], ring[i][1]);
+        }
+        ctx.closePath();
+      });
+    });
+
+    // Even-odd keeps holes open
+    ctx.fillStyle = CONFIG.highlightFill;
+    ctx.fill('evenodd');
+    ctx.setLineDash(CONFIG.highlightDash);
+    ctx.strokeStyle = CONFIG.highlightStroke;
+    ctx.lineWidth = 2;
+    ctx.stroke();
+    ctx.restore();
+  }
+
+  /**
+   * CSS font of the value labels
+   * @returns {string}
+   */
+  function getLabelFont() {
+    return `${CONFIG.labelFontWeight} ${CONFIG.labelFontSize}px ${CONFIG.labelFontFamily}`;
+  }
+
+  /**
+   * Format a contour value for its label
+   * @param {number} value
+   * @returns {string}
+   */
+  function formatLabel(value) {
+    const magnitude = Math.abs(value);
+    if (magnitude >= 100) return String(Math.round(value));
+    if (magnitude >= 10) return String(Math.round(value * 10) / 10);
+    return String(Number(value.toPrecision(2)));
+  }
+
+  /**
+   * Choose label positions along the contour rings
+   * Labels are spread evenly over every ring long enough to carry one,
+   * rotated to the chord under the text and kept upright. Candidates on
+   * tight bends or overlapping an earlier label (padded bounding boxes) are
+   * dropped; higher levels are placed first, as their rings are the
+   * shortest and have the fewest candidates.
+   * @param {Array} levels - [{value, pixelCoordinates}] sorted from low to high
+   * @param {Function} measure - text => width in pixels
+   * @returns {Array<{x: number, y: number, angle: number, text: string}>}
+   */
+  function placeLabels(levels, measure) {
+    const placed = [];
+    const boxes = [];
+    const halfHeight = CONFIG.labelFontSize / 2 + CONFIG.labelPadding;
+
+    for (let index = levels.length - 1; index >= 0; index--) {
+      const level = levels[index];
+      if (!Number.isFinite(level.value)) continue;
+
+      const text = formatLabel(level.value);
+      const width = measure(text);
+      const halfWidth = width / 2 + CONFIG.labelPadding;
+
+      // Alternate the start on neighbouring levels so labels do not line up
+      const offset = index % 2 === 0 ? 0.5 : 1;
+
+      level.pixelCoordinates.forEach(polygon => {
+        polygon.forEach(ring => {
+          const distances = [0];
+          for (let i = 1; i < ring.length; i++) {
+            distances.push(distances[i - 1] + Math.hypot(
+              ring[i][0] - ring[i - 1][0], ring[i][1] - ring[i - 1][1]
+            ));
+          }
+          const length = distances[distances.length - 1];
+          if (length < Math.max(CONFIG.labelMinRingLength, width * 2)) return;
+
+          const count = Math.max(1, Math.floor(length / CONFIG.labelSpacing));
+          const step = length / count;
+
+          for (let k = 0; k < count; k++) {
+            const at = step * (k + offset);
+            const center = pointAlong(ring, distances, at);
+            const start = pointAlong(ring, distances, at - width / 2);
+            const end = pointAlong(ring, distances, at + width / 2);
+
+            const dx = end[0] - start[0];
+            const dy = end[1] - start[1];
+            if (Math.hypot(dx, dy) < width * CONFIG.labelMaxBend) continue;
+
+            // Keep the text upright
+            let angle = Math.atan2(dy, dx);
+            if (angle > Math.PI / 2) angle -= Math.PI;
+            if (angle < -Math.PI / 2) angle += Math.PI;
+
+            const cos = Math.abs(Math.cos(angle));
+            const sin = Math.abs(Math.sin(angle));
+            const box = {
+              minX: center[0] - (cos * halfWidth + sin * halfHeight),
+              maxX: center[0] + (cos * halfWidth + sin * halfHeight),
+              minY: center[1] - (sin * halfWidth + cos * halfHeight),
+              maxY: center[1] + (sin * halfWidth + cos * halfHeight)
+            };
+            const overlaps = boxes.some(other =>
+              box.minX < other.maxX && box.maxX > other.minX &&
+              box.minY < other.maxY && box.maxY > other.minY
+            );
+            if (overlaps) continue;
+
+            boxes.push(box);
+            placed.push({ x: center[0], y: center[1], angle, text });
+          }
+        });
+      });
+    }
+
+    return placed;
+  }
+
+  /**
+   * Point at a distance along a closed ring
+   * @param {Array} ring - [[x, y], ...] (first point repeated at the end)
+   * @param {Array<number>} distances - Cumulative length at each point
+   * @param {number} distance - Wrapped around the ring
+   * @returns {Array<number>} [x, y]
+   */
+  function pointAlong(ring, distances, distance) {
+    const length = distances[distances.length - 1];
+    const d = ((distance % length) + length) % length;
+
+    // Binary search for the segment containing d
+    let low = 0;
+    let high = distances.length - 1;
+    while (high - low > 1) {
+      const mid = (low + high) >> 1;
+      if (distances[mid] <= d) low = mid;
+      else high = mid;
+    }
+
+    const span = distances[high] - distances[low];
+    const t = span > 0 ? (d - distances[low]) / span : 0;
+    return [
+      ring[low][0] + (ring[high][0] - ring[low][0]) * t,
+      ring[low][1] + (ring[high][1] - ring[low][1]) * t
+    ];
+  }
+
+  /**
+   * Draw the value labels with a halo
+   * @param {Array} levels - [{value, pixelCoordinates}] sorted from low to high
+   */
+  function drawLabels(levels) {
     if (!ctx) return;
-    ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+    const colors = getLabelColors();
+    ctx.save();
+    ctx.font = getLabelFont();
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.lineJoin = 'round';
+    ctx.lineWidth = CONFIG.labelHaloWidth * 2;
+    ctx.strokeStyle = colors.halo;
+    ctx.fillStyle = colors.text;
+
+    placeLabels(levels, text => ctx.measureText(text).width).forEach(({ x, y, angle, text }) => {
+      ctx.save();
+      ctx.translate(x, y);
+      ctx.rotate(angle);
+      ctx.strokeText(text, 0, 0);
+      ctx.fillText(text, 0, 0);
+      ctx.restore();
+    });
+
+    ctx.restore();
   }
 
   /**
-   * Render contours to canvas
-   * @param {Array} contours - Array of contour objects with pixelCoordinates
+   * Set the hillshade raster
+   * @param {Object|null} data - {shade (ContourModule.computeHillshade), grid
+   *   {width, height}, bounds {south, west, north, east}, altitude (degrees)}, or null
    */
-  function render(contours) {
-    if (!ctx || !contours || contours.length === 0) {
-      clear();
-      return;
+  function setRelief(data) {
+    relief = data ? { canvas: createReliefImage(data), bounds: data.bounds } : null;
+    if (layer) layer.redraw();
+  }
+
+  /**
+   * Get the hillshade raster
+   * @returns {{canvas: HTMLCanvasElement, bounds: Object}|null}
+   */
+  function getRelief() {
+    return relief;
+  }
+
+  /**
+   * Turn illumination values into a shadow / highlight image
+   * Flat ground (sin(altitude)) is transparent; darker cells fade to black,
+   * brighter ones to white.
+   * @param {Object} data - See setRelief()
+   * @returns {HTMLCanvasElement}
+   */
+  function createReliefImage({ shade, grid, altitude }) {
+    const { width, height } = grid;
+    const flat = Math.sin(altitude * Math.PI / 180);
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+
+    const context = canvas.getContext('2d');
+    const image = context.createImageData(width, height);
+    const pixels = image.data;
+
+    for (let y = 0; y < height; y++) {
+      // Grid rows run south to north, image rows north to south
+      const row = (height - 1 - y) * width;
+      for (let x = 0; x < width; x++) {
+        const value = shade[y * width + x];
+        const offset = (row + x) * 4;
+        const light = value > flat;
+        const amount = light ? (value - flat) / (1 - flat || 1) : (flat - value) / (flat || 1);
+        const channel = light ? 255 : 0;
+
+        pixels[offset] = channel;
+        pixels[offset + 1] = channel;
+        pixels[offset + 2] = channel;
+        pixels[offset + 3] = Math.round(Math.min(1, amount) * CONFIG.reliefStrength * 255);
+      }
     }
 
-    clear();
+    context.putImageData(image, 0, 0);
+    return canvas;
+  }
 
-    const rect = canvas.getBoundingClientRect();
+  /**
+   * Draw the hillshade raster, stretched over its bounds
+   * @param {Function} toPoint - [lat, lng] => {x, y}
+   */
+  function drawRelief(toPoint) {
+    if (!ctx || !relief) return;
 
-    // Sort contours by value (render lower values first)
-    const sorted = [...contours].sort((a, b) => a.normalizedValue - b.normalizedValue);
+    const { south, west, north, east } = relief.bounds;
+    const topLeft = toPoint([north, west]);
+    const bottomRight = toPoint([south, east]);
 
-    // Render each contour level
-    sorted.forEach((contour, index) => {
-      renderContour(contour, index, sorted.length);
+    ctx.save();
+    ctx.imageSmoothingEnabled = true;
+    ctx.drawImage(relief.canvas, topLeft.x, topLeft.y, bottomRight.x - topLeft.x, bottomRight.y - topLeft.y);
+    ctx.restore();
+  }
+
+  /**
+   * Fill the band between a level and the next higher one
+   * d3 contours are nested (each level covers every higher level), so the
+   * rings of both levels in one even-odd path leave exactly the band: the
+   * higher area and the level's own holes cancel out, islands inside the
+   * higher level's holes stay filled.
+   * @param {Object} contour - Level with pixelCoordinates
+   * @param {Object} [next] - Next higher level, if any
+   */
+  function fillBand(contour, next) {
+    const color = interpolateColor(contour.normalizedValue);
+
+    ctx.beginPath();
+    [contour, next].forEach(level => {
+      if (!level) return;
+      level.pixelCoordinates.forEach(polygon => {
+        polygon.forEach(ring => {
+          if (ring.length < 3) return;
+          ctx.moveTo(ring[0][0], ring[0][1]);
+          for (let i = 1; i < ring.length; i++) {
+            ctx.lineTo(ring[i][0], ring[i][1]);
+          }
+          ctx.closePath();
+        });
+      });
     });
+
+    ctx.fillStyle = `rgba(${color.r}, ${color.g}, ${color.b}, ${CONFIG.fillOpacity})`;
+    ctx.fill('evenodd');
   }
 
   /**
@@ -144,14 +797,13 @@ const RendererModule = (() => {
     const color = interpolateColor(normalizedValue);
 
     // Calculate line width (thicker for higher values)
-    const lineWidth = CONFIG.baseLineWidth +
-      (CONFIG.maxLineWidth - CONFIG.baseLineWidth) * normalizedValue;
+    const lineWidth = getLineWidth(normalizedValue);
 
     // Draw glow layer first (if enabled)
     if (CONFIG.glowEnabled && normalizedValue > 0.3) {
       ctx.save();
       ctx.shadowColor = `rgba(${color.r}, ${color.g}, ${color.b}, ${CONFIG.glowAlpha})`;
-      ctx.shadowBlur = CONFIG.glowBlur * normalizedValue;
+      ctx.shadowBlur = CONFIG.glowBlur * normalizedValue * pixelRatio;
       drawContourPath(pixelCoordinates, color, lineWidth * 1.5, 0.5);
       ctx.restore();
     }
@@ -190,13 +842,22 @@ const RendererModule = (() => {
     });
   }
 
+  /**
+   * Line width for a contour level
+   * @param {number} t - Normalized value between 0 and 1
+   * @returns {number}
+   */
+  function getLineWidth(t) {
+    return CONFIG.baseLineWidth + (CONFIG.maxLineWidth - CONFIG.baseLineWidth) * t;
+  }
+
   /**
    * Interpolate color from gradient based on normalized value
    * @param {number} t - Value between 0 and 1
    * @returns {Object} {r, g, b, a}
    */
   function interpolateColor(t) {
-    const stops = CONFIG.colorStops;
+    const stops = getColorStops();
 
     // Find surrounding stops
     let lower = stops[0];
@@ -222,12 +883,113 @@ const RendererModule = (() => {
     };
   }
 
+  /**
+   * Palette stop
+   * @param {number} pos - Position between 0 and 1
+   * @param {string} hex - '#rrggbb'
+   * @param {number} alpha
+   * @returns {Object} {pos, color: {r, g, b, a}}
+   */
+  function stop(pos, hex, alpha) {
+    return { pos, color: { ...hexToRgb(hex), a: alpha } };
+  }
+
+  /**
+   * Parse a '#rrggbb' color
+   * @param {string} hex
+   * @returns {{r: number, g: number, b: number}|null}
+   */
+  function hexToRgb(hex) {
+    const match = /^#?([0-9a-f]{6})$/i.exec(String(hex).trim());
+    if (!match) return null;
+    const value = parseInt(match[1], 16);
+    return { r: (value >> 16) & 255, g: (value >> 8) & 255, b: value & 255 };
+  }
+
+  /**
+   * Format a color as '#rrggbb'
+   * @param {Object} color - {r, g, b}
+   * @returns {string}
+   */
+  function rgbToHex({ r, g, b }) {
+    return `#${[r, g, b].map(c => Math.round(c).toString(16).padStart(2, '0')).join('')}`;
+  }
+
+  /**
+   * Active color stops for a map theme
+   * @param {string} [theme] - 'light' or 'dark' (default: the map's theme)
+   * @returns {Array} [{pos, color: {r, g, b, a}}] sorted by position
+   */
+  function getColorStops(theme = MapModule.getTheme()) {
+    if (CONFIG.palette === 'custom' && customStops) {
+      const { min, max } = CONFIG.customAlpha;
+      return customStops.map(({ pos, color }) => stop(pos, color, min + (max - min) * pos));
+    }
+
+    const palette = PALETTES[CONFIG.palette] || PALETTES.care;
+    return palette[theme] || palette.light;
+  }
+
+  /**
+   * List the selectable palettes
+   * @returns {Array<{id: string, label: string}>}
+   */
+  function getPalettes() {
+    return Object.entries(PALETTES)
+      .map(([id, { label }]) => ({ id, label }))
+      .concat({ id: 'custom', label: '自訂' });
+  }
+
+  /**
+   * Switch the color palette
+   * @param {string} id - PALETTES id, or 'custom' once custom stops are set
+   * @returns {boolean} False if the palette is unknown
+   */
+  function setPalette(id) {
+    if (!(id in PALETTES) && !(id === 'custom' && customStops)) {
+      console.warn('[RendererModule] Unknown palette:', id);
+      return false;
+    }
+
+    CONFIG.palette = id;
+    if (layer) layer.redraw();
+    return true;
+  }
+
+  /**
+   * Set the stops of the custom palette (their opacity follows
+   * CONFIG.customAlpha); invalid stops are dropped
+   * @param {Array} stops - [{pos (0-1), color: '#rrggbb'}]
+   * @returns {boolean} False if fewer than the minimum of valid stops remain
+   */
+  function setCustomPalette(stops) {
+    const { min, max } = CONFIG.customStopLimit;
+    const valid = (Array.isArray(stops) ? stops : [])
+      .filter(s => s && Number.isFinite(s.pos) && hexToRgb(s.color))
+      .map(s => ({ pos: Math.min(1, Math.max(0, s.pos)), color: rgbToHex(hexToRgb(s.color)) }))
+      .sort((a, b) => a.pos - b.pos)
+      .slice(0, max);
+
+    if (valid.length < min) return false;
+
+    customStops = valid;
+    if (CONFIG.palette === 'custom' && layer) layer.redraw();
+    return true;
+  }
+
+  /**
+   * Get the custom palette
+   * @returns {Array|null} [{pos, color: '#rrggbb'}], or null if none was set
+   */
+  function getCustomPalette() {
+    return customStops ? customStops.map(s => ({ ...s })) : null;
+  }
+
   /**
    * Start breathing animation
-   * @param {Function} getContours - Function that returns current contours
    */
-  function startBreathing(getContours) {
-    if (!CONFIG.breathingEnabled) return;
+  function startBreathing() {
+    if (!CONFIG.breathingEnabled || !layer) return;
 
     const startTime = performance.now();
 
@@ -236,26 +998,7 @@ const RendererModule = (() => {
       const phase = (elapsed % CONFIG.breathingPeriod) / CONFIG.breathingPeriod;
       const scale = 1 + Math.sin(phase * Math.PI * 2) * CONFIG.breathingAmplitude;
 
-      // Apply scale transform to canvas
-      const rect = canvas.getBoundingClientRect();
-      const centerX = rect.width / 2;
-      const centerY = rect.height / 2;
-
-      clear();
-      ctx.save();
-      ctx.translate(centerX, centerY);
-      ctx.scale(scale, scale);
-      ctx.translate(-centerX, -centerY);
-
-      const contours = getContours();
-      if (contours) {
-        const sorted = [...contours].sort((a, b) => a.normalizedValue - b.normalizedValue);
-        sorted.forEach((contour, index) => {
-          renderContour(contour, index, sorted.length);
-        });
-      }
-
-      ctx.restore();
+      layer.redraw(scale);
 
       animationId = requestAnimationFrame(animate);
     }
@@ -274,24 +1017,14 @@ const RendererModule = (() => {
   }
 
   /**
-   * Get canvas dimensions
+   * Get the map view dimensions (contour pixel space)
    * @returns {{width: number, height: number}}
    */
   function getDimensions() {
-    if (!canvas) return { width: 0, height: 0 };
-    const rect = canvas.getBoundingClientRect();
-    return { width: rect.width, height: rect.height };
-  }
-
-  /**
-   * Debounce helper
-   */
-  function debounce(fn, delay) {
-    let timer = null;
-    return function(...args) {
-      clearTimeout(timer);
-      timer = setTimeout(() => fn.apply(this, args), delay);
-    };
+    const map = MapModule.getMap();
+    if (!map) return { width: 0, height: 0 };
+    const size = map.getSize();
+    return { width: size.x, height: size.y };
   }
 
   /**
@@ -304,18 +1037,36 @@ const RendererModule = (() => {
 
   /**
    * Get configuration
+   * colorStops holds the active palette's stops for the current map theme.
    */
   function getConfig() {
-    return { ...CONFIG };
+    return { ...CONFIG, colorStops: getColorStops() };
   }
 
   // Public API
   return {
     init,
-    syncSize,
-    resize,
+    getContainer,
     clear,
     render,
+    renderTo,
+    setHighlight,
+    getHighlight,
+    setRelief,
+    getRelief,
+    getContours,
+    getLabels,
+    getLabelColors,
+    toContainerPixels,
+    getColor: interpolateColor,
+    getColorStops,
+    toHex: rgbToHex,
+    getPalettes,
+    setPalette,
+    setCustomPalette,
+    getCustomPalette,
+    formatValue: formatLabel,
+    getLineWidth,
     startBreathing,
     stopBreathing,
     getDimensions,
@@ -0,0 +1,446 @@
+/**
+ * types.js - Resource Type Registry
+ * 關懷地景 The Topography of Care
+ *
+ * Single source of truth for everything the app knows about a resource
+ * type: how to find it in OSM, how to classify its tags, how strongly it
+ * radiates into the care field, and how it is shown in the UI. The
+ * Overpass query, parser, contour parameters, sidebar filters and marker
+ * colors are all generated from this list.
+ *
+ * Users can add custom types from arbitrary OSM tag selectors; they are
+ * classified before the built-ins so a more specific user definition
+ * (e.g. social_facility=group_home) wins over a generic built-in one.
+ *
+ * No DOM access here, so the module can also be loaded in workers.
+ */
+
+const ResourceTypeModule = (() => {
+  /**
+   * Type definitions, in classification priority order
+   * (an element matching several types gets the first one).
+   *
+   * - selectors: OSM tag filters; `value` omitted = any value,
+   *   `elements` = OSM element kinds queried from Overpass
+   * - sigma / amplitude: Gaussian spread (meters) and peak
+   * - keywords: registry category/name keywords (see RegistryModule)
+   */
+  const TYPES = [
+    {
+      id: 'hospital',
+      label: '醫院',
+      labelEn: 'Hospital',
+      icon: '🏥',
+      color: '#ef4444',  // red-500
+      selectors: [{ key: 'amenity', value: 'hospital', elements: ['node', 'way'] }],
+      sigma: 600,
+      amplitude: 1.0,
+      keywords: ['醫院']
+    },
+    {
+      id: 'clinic',
+      label: '診所',
+      labelEn: 'Clinic',
+      icon: '🏨',
+      color: '#f97316',  // orange-500
+      selectors: [{ key: 'amenity', value: 'clinic', elements: ['node'] }],
+      sigma: 300,
+      amplitude: 0.5,
+      keywords: ['診所', '衛生所', '衛生室', '醫務室']
+    },
+    {
+      id: 'library',
+      label: '圖書館',
+      labelEn: 'Library',
+      icon: '📚',
+      color: '#3b82f6',  // blue-500
+      selectors: [{ key: 'amenity', value: 'library', elements: ['node', 'way'] }],
+      sigma: 500,
+      amplitude: 0.7,
+      keywords: ['圖書館', '圖書室']
+    },
+    {
+      id: 'social',
+      label: '社福機構',
+      labelEn: 'Social Facility',
+      icon: '🏠',
+      color: '#a855f7',  // purple-500
+      selectors: [{ key: 'social_facility', elements: ['node', 'way'] }],
+      sigma: 400,
+      amplitude: 0.8,
+      keywords: ['老人', '長照', '長期照顧', '日照', '護理之家', '身心障礙', '兒少', '安置', '社福', '福利', '家庭服務']
+    },
+    {
+      id: 'pharmacy',
+      label: '藥局',
+      labelEn: 'Pharmacy',
+      icon: '💊',
+      color: '#22c55e',  // green-500
+      selectors: [{ key: 'amenity', value: 'pharmacy', elements: ['node'] }],
+      sigma: 200,
+      amplitude: 0.3,
+      keywords: ['藥局', '藥房', '藥師']
+    },
+    {
+      id: 'community',
+      label: '社區活動中心',
+      labelEn: 'Community Center',
+      icon: '🏘️',
+      color: '#14b8a6',  // teal-500
+      selectors: [{ key: 'amenity', value: 'community_centre', elements: ['node', 'way'] }],
+      sigma: 300,
+      amplitude: 0.5,
+      keywords: ['活動中心', '關懷據點', '社區']
+    },
+    {
+      id: 'kindergarten',
+      label: '幼兒園',
+      labelEn: 'Kindergarten',
+      icon: '👶',
+      color: '#ec4899',  // pink-500
+      selectors: [{ key: 'amenity', value: 'kindergarten', elements: ['node', 'way'] }],
+      sigma: 200,
+      amplitude: 0.4,
+      keywords: ['幼兒園', '幼稚園', '托嬰', '托兒', '托育']
+    }
+  ];
+
+  // Fallback for unknown types
+  const DEFAULT_TYPE = {
+    color: '#fbbf24',  // care-gold
+    sigma: 300,
+    amplitude: 0.5
+  };
+
+  // Limits for user-defined types
+  const CUSTOM_LIMITS = {
+    maxTypes: 20,
+    maxLabelLength: 30,
+    sigma: { min: 50, max: 2000 },       // meters
+    amplitude: { min: 0.05, max: 2 },
+    // OSM keys are ASCII; values may be any text except quoting characters
+    keyPattern: /^[A-Za-z0-9_:.\-]{1,64}$/,
+    valuePattern: /^[^"\\\n\r\[\]]{1,100}$/
+  };
+
+  // User-defined types (classified before the built-ins)
+  let customTypes = [];
+
+  // Lookup by id
+  const byId = new Map(TYPES.map(type => [type.id, type]));
+
+  /**
+   * Get all type definitions in priority order
+   * @returns {Array<Object>}
+   */
+  function getAll() {
+    return customTypes.concat(TYPES);
+  }
+
+  /**
+   * Get all type ids in priority order
+   * @returns {Array<string>}
+   */
+  function ids() {
+    return getAll().map(type => type.id);
+  }
+
+  /**
+   * Get a type definition
+   * @param {string} id
+   * @returns {Object|null}
+   */
+  function get(id) {
+    return byId.get(id) || null;
+  }
+
+  /**
+   * Check if a type id is known
+   * @param {string} id
+   * @returns {boolean}
+   */
+  function has(id) {
+    return byId.has(id);
+  }
+
+  /**
+   * Check whether tags satisfy a selector
+   * @param {Object} tags
+   * @param {Object} selector - {key, value?}
+   * @returns {boolean}
+   */
+  function matchesSelector(tags, selector) {
+    const actual = tags[selector.key];
+    if (actual === undefined || actual === '') return false;
+    return selector.value === undefined || actual === selector.value;
+  }
+
+  /**
+   * Determine resource type from OSM tags
+   * @param {Object} tags
+   * @returns {string|null}
+   */
+  function classify(tags) {
+    if (!tags) return null;
+
+    const match = getAll().find(type =>
+      type.selectors.some(selector => matchesSelector(tags, selector))
+    );
+    return match ? match.id : null;
+  }
+
+  /**
+   * Map a registry category or facility name to a type by keyword
+   * @param {string} text
+   * @returns {string|null}
+   */
+  function classifyText(text) {
+    if (!text) return null;
+
+    const match = TYPES.find(type =>
+      (type.keywords || []).some(keyword => text.includes(keyword))
+    );
+    return match ? match.id : null;
+  }
+
+  /**
+   * Types belonging to a query group
+   * @param {string} [group] - 'builtin', 'custom' or omitted for every type
+   * @returns {Array<Object>}
+   */
+  function getGroup(group) {
+    if (group === 'builtin') return TYPES;
+    if (group === 'custom') return customTypes;
+    return getAll();
+  }
+
+  /**
+   * Build Overpass QL statements selecting the types of a group
+   * @param {string} bbox - "south,west,north,east"
+   * @param {string} [group] - 'builtin', 'custom' or omitted for every type
+   * @returns {Array<string>} One statement per selector and element kind
+   */
+  function getOverpassStatements(bbox, group) {
+    const statements = [];
+
+    getGroup(group).forEach(type => {
+      type.selectors.forEach(selector => {
+        const filter = selector.value === undefined
+          ? `["${selector.key}"]`
+          : `["${selector.key}"="${selector.value}"]`;
+
+        selector.elements.forEach(element => {
+          statements.push(`${element}${filter}(${bbox});`);
+        });
+      });
+    });
+
+    return statements;
+  }
+
+  /**
+   * Get Gaussian parameters for a type
+   * @param {string} id
+   * @returns {{sigma: number, amplitude: number}}
+   */
+  function getParams(id) {
+    const type = byId.get(id) || DEFAULT_TYPE;
+    return { sigma: type.sigma, amplitude: type.amplitude };
+  }
+
+  /**
+   * Get display color for a type
+   * @param {string} id
+   * @returns {string} CSS color
+   */
+  function getColor(id) {
+    return (byId.get(id) || DEFAULT_TYPE).color;
+  }
+
+  /**
+   * Get display label for a type
+   * @param {string} id
+   * @returns {string}
+   */
+  function getLabel(id) {
+    const type = byId.get(id);
+    return type ? type.label : id;
+  }
+
+  /**
+   * Short stable hash of everything that affects a group's Overpass query,
+   * used to keep cached results of different type sets apart
+   * @param {string} [group] - 'builtin', 'custom' or omitted for every type
+   * @returns {string}
+   */
+  function signature(group) {
+    const text = getOverpassStatements('', group).join('');
+    let hash = 5381;
+    for (let i = 0; i < text.length; i++) {
+      hash = ((hash << 5) + hash + text.charCodeAt(i)) >>> 0;
+    }
+    return hash.toString(36);
+  }
+
+  // =====================================================
+  // Custom Types
+  // =====================================================
+
+  /**
+   * Parse a tag selector string
+   * Accepts `key=value`, `key` (any value) or Overpass-style `["key"="value"]`.
+   * @param {string} text
+   * @returns {{key: string, value?: string}}
+   * @throws {Error} If the selector is not a safe single tag filter
+   */
+  function parseSelector(text) {
+    const input = String(text || '').trim();
+    const bracketed = input.match(/^\[\s*"([^"]+)"\s*(?:=\s*"([^"]*)")?\s*\]$/);
+    const [key, value] = bracketed
+      ? [bracketed[1], bracketed[2]]
+      : input.split(/=(.*)/s).map(part => part && part.trim());
+
+    if (!key || !CUSTOM_LIMITS.keyPattern.test(key)) {
+      throw new Error('標籤鍵只能包含英數字與 _ : . -');
+    }
+    if (value !== undefined && value !== '' && !CUSTOM_LIMITS.valuePattern.test(value)) {
+      throw new Error('標籤值不可包含引號、反斜線或方括號');
+    }
+
+    return value ? { key, value } : { key };
+  }
+
+  /**
+   * Clamp a number into a range
+   */
+  function clamp(value, { min, max }) {
+    return Math.min(max, Math.max(min, value));
+  }
+
+  /**
+   * Validate and normalize a custom type definition
+   * @param {Object} def - {id?, label, selector, sigma (meters), amplitude, color}
+   * @returns {Object} Full type definition
+   * @throws {Error} On invalid input
+   */
+  function normalizeCustom(def) {
+    const label = String(def.label || '').trim().slice(0, CUSTOM_LIMITS.maxLabelLength);
+    if (!label) {
+      throw new Error('請輸入類型名稱');
+    }
+
+    const selector = parseSelector(def.selector);
+    const sigma = Number(def.sigma);
+    const amplitude = Number(def.amplitude);
+    if (!Number.isFinite(sigma) || !Number.isFinite(amplitude)) {
+      throw new Error('擴散半徑與振幅必須是數字');
+    }
+
+    const color = /^#[0-9a-fA-F]{6}$/.test(def.color) ? def.color : '#64748b';
+    const id = typeof def.id === 'string' && /^custom-[a-z0-9-]+$/.test(def.id)
+      ? def.id
+      : `custom-${Date.now().toString(36)}`;
+
+    return {
+      id,
+      custom: true,
+      label,
+      labelEn: label,
+      icon: '📍',
+      color,
+      selectors: [{ ...selector, elements: ['node', 'way'] }],
+      selectorText: selector.value === undefined ? selector.key : `${selector.key}=${selector.value}`,
+      sigma: clamp(sigma, CUSTOM_LIMITS.sigma),
+      amplitude: clamp(amplitude, CUSTOM_LIMITS.amplitude),
+      keywords: []
+    };
+  }
+
+  /**
+   * Add a user-defined type
+   * @param {Object} def - {label, selector, sigma (meters), amplitude, color}
+   * @returns {Object} The created type
+   * @throws {Error} On invalid input or duplicates
+   */
+  function addCustom(def) {
+    if (customTypes.length >= CUSTOM_LIMITS.maxTypes) {
+      throw new Error(`最多只能自訂 ${CUSTOM_LIMITS.maxTypes} 種類型`);
+    }
+
+    const type = normalizeCustom(def);
+    if (getAll().some(t => t.custom && t.selectorText === type.selectorText)) {
+      throw new Error('已有相同標籤的自訂類型');
+    }
+    if (byId.has(type.id)) {
+      type.id = `${type.id}-${customTypes.length}`;
+    }
+
+    customTypes.push(type);
+    byId.set(type.id, type);
+    return type;
+  }
+
+  /**
+   * Remove a user-defined type
+   * @param {string} id
+   * @returns {boolean} True if removed
+   */
+  function removeCustom(id) {
+    const type = byId.get(id);
+    if (!type || !type.custom) return false;
+
+    customTypes = customTypes.filter(t => t.id !== id);
+    byId.delete(id);
+    return true;
+  }
+
+  /**
+   * Serializable list of custom types (for persistence)
+   * @returns {Array<Object>} [{id, label, selector, sigma (meters), amplitude, color}]
+   */
+  function getCustom() {
+    return customTypes.map(({ id, label, selectorText, sigma, amplitude, color }) => ({
+      id, label, selector: selectorText, sigma, amplitude, color
+    }));
+  }
+
+  /**
+   * Replace custom types from a persisted list; invalid entries are skipped
+   * @param {Array<Object>} list - As returned by getCustom()
+   * @returns {number} Number of restored types
+   */
+  function loadCustom(list) {
+    customTypes.forEach(type => byId.delete(type.id));
+    customTypes = [];
+
+    (Array.isArray(list) ? list : []).forEach(def => {
+      try {
+        addCustom(def);
+      } catch (e) {
+        console.warn('[ResourceTypeModule] Skipping invalid custom type:', e.message);
+      }
+    });
+
+    return customTypes.length;
+  }
+
+  // Public API
+  return {
+    getAll,
+    ids,
+    get,
+    has,
+    classify,
+    classifyText,
+    getOverpassStatements,
+    getParams,
+    getColor,
+    getLabel,
+    signature,
+    parseSelector,
+    addCustom,
+    removeCustom,
+    getCustom,
+    loadCustom
+  };
+})();
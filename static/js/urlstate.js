@@ -0,0 +1,243 @@
+/**
+ * urlstate.js - Shareable URL State
+ * 關懷地景 The Topography of Care
+ *
+ * Serializes the view (center, zoom, theme, disabled resource types,
+ * contour parameters, grid quality and color palette) into the URL hash so
+ * a link reproduces the same landscape, e.g.
+ *
+ *   #map=14/25.04210/121.51230&theme=dark&off=pharmacy,clinic&mode=2sfca
+ *
+ * Values equal to the defaults are omitted; an absolute color scale always
+ * carries its upper bound (max) and a custom palette its stops, since
+ * calibrations and custom palettes are per browser.
+ * Changes push a history entry, so browser back/forward step through
+ * earlier views; App asks to replace the entry instead for map moves too
+ * small to count as a new view.
+ */
+
+const UrlStateModule = (() => {
+  // Configuration
+  const CONFIG = {
+    coordinatePrecision: 5,  // ~1 m
+    themes: ['light', 'dark'],
+    scales: ['relative', 'absolute'],
+    styles: ['lines', 'filled', 'both'],
+    reliefs: ['off', 'under', 'only'],
+    altitude: { min: 5, max: 85 },
+    levels: { min: 2, max: 50 },
+    stopPattern: /^(\d{1,3}(?:\.\d)?)-([0-9a-f]{6})$/i  // "<position %>-<rrggbb>"
+  };
+
+  // Defaults (the view without a hash), set by init()
+  let defaults = null;
+
+  /**
+   * Remember the default view; fields equal to it are left out of the hash
+   * @param {Object} view - {center: {lat, lng}, zoom, theme, disabled, mode, decay, levels,
+   *   scale, scaleMax, style, relief, azimuth, altitude, palette, paletteStops, quality}
+   */
+  function init(view) {
+    defaults = { ...view, disabled: [], scaleMax: null, paletteStops: null };
+  }
+
+  /**
+   * Parse a hash into the fields it validly specifies
+   * @param {string} hash - With or without the leading "#"
+   * @returns {Object} Partial view
+   */
+  function parse(hash) {
+    const params = {};
+    hash.replace(/^#/, '').split('&').forEach(part => {
+      const index = part.indexOf('=');
+      if (index <= 0) return;
+      try {
+        params[part.slice(0, index)] = decodeURIComponent(part.slice(index + 1));
+      } catch (e) {
+        // Malformed escape: ignore this parameter
+      }
+    });
+
+    const view = {};
+
+    if (params.map) {
+      const [zoom, lat, lng] = params.map.split('/').map(Number);
+      if (Number.isInteger(zoom) && Math.abs(lat) <= 90 && Math.abs(lng) <= 180) {
+        view.zoom = zoom;
+        view.center = { lat, lng };
+      }
+    }
+
+    if (CONFIG.themes.includes(params.theme)) {
+      view.theme = params.theme;
+    }
+
+    if (params.off) {
+      view.disabled = params.off.split(',').filter(id => /^[\w-]+$/.test(id));
+    }
+
+    if (ContourModule.getModes().includes(params.mode)) {
+      view.mode = params.mode;
+    }
+
+    if (ContourModule.getDecayModels().includes(params.decay)) {
+      view.decay = params.decay;
+    }
+
+    const levels = Number(params.levels);
+    if (Number.isInteger(levels) && levels >= CONFIG.levels.min && levels <= CONFIG.levels.max) {
+      view.levels = levels;
+    }
+
+    if (CONFIG.scales.includes(params.scale)) {
+      view.scale = params.scale;
+    }
+
+    const scaleMax = Number(params.max);
+    if (params.max && Number.isFinite(scaleMax) && scaleMax > 0) {
+      view.scaleMax = scaleMax;
+    }
+
+    if (CONFIG.styles.includes(params.style)) {
+      view.style = params.style;
+    }
+
+    if (CONFIG.reliefs.includes(params.relief)) {
+      view.relief = params.relief;
+    }
+
+    const azimuth = Number(params.az);
+    if (params.az && Number.isInteger(azimuth) && azimuth >= 0 && azimuth < 360) {
+      view.azimuth = azimuth;
+    }
+
+    const altitude = Number(params.alt);
+    if (Number.isInteger(altitude) && altitude >= CONFIG.altitude.min && altitude <= CONFIG.altitude.max) {
+      view.altitude = altitude;
+    }
+
+    const quality = Number(params.quality);
+    if (params.quality && quality in ContourModule.getConfig().qualityCellPixels) {
+      view.quality = quality;
+    }
+
+    // A custom palette is only usable together with its stops
+    const paletteStops = parseStops(params.stops);
+    if (params.palette === 'custom' ? paletteStops : RendererModule.getPalettes().some(({ id }) => id === params.palette)) {
+      view.palette = params.palette;
+      view.paletteStops = params.palette === 'custom' ? paletteStops : null;
+    }
+
+    return view;
+  }
+
+  /**
+   * Parse custom palette stops ("0-fef3c7,50-10b981,100-065f46")
+   * @param {string} [text]
+   * @returns {Array|null} [{pos (0-1), color: '#rrggbb'}], or null unless
+   *   every stop is valid and there are enough of them
+   */
+  function parseStops(text) {
+    if (!text) return null;
+
+    const { min, max } = RendererModule.getConfig().customStopLimit;
+    const stops = text.split(',').map(part => {
+      const match = part.match(CONFIG.stopPattern);
+      const pos = match && Number(match[1]) / 100;
+      return match && pos <= 1 ? { pos, color: `#${match[2].toLowerCase()}` } : null;
+    });
+
+    return stops.length >= min && stops.length <= max && stops.every(Boolean) ? stops : null;
+  }
+
+  /**
+   * Serialize a view into a hash (without "#")
+   * @param {Object} view
+   * @returns {string}
+   */
+  function serialize(view) {
+    const digits = CONFIG.coordinatePrecision;
+    const parts = [
+      `map=${Math.round(view.zoom)}/${view.center.lat.toFixed(digits)}/${view.center.lng.toFixed(digits)}`
+    ];
+
+    const differs = key => !defaults || view[key] !== defaults[key];
+
+    if (differs('theme')) parts.push(`theme=${view.theme}`);
+    if (view.disabled.length > 0) {
+      parts.push(`off=${[...view.disabled].sort().map(encodeURIComponent).join(',')}`);
+    }
+    if (differs('mode')) parts.push(`mode=${view.mode}`);
+    if (differs('decay')) parts.push(`decay=${view.decay}`);
+    if (differs('levels')) parts.push(`levels=${view.levels}`);
+    if (differs('scale')) parts.push(`scale=${view.scale}`);
+    if (view.scale === 'absolute') parts.push(`max=${view.scaleMax}`);
+    if (differs('style')) parts.push(`style=${view.style}`);
+    if (differs('relief')) parts.push(`relief=${view.relief}`);
+    if (differs('azimuth')) parts.push(`az=${view.azimuth}`);
+    if (differs('altitude')) parts.push(`alt=${view.altitude}`);
+    if (differs('quality')) parts.push(`quality=${view.quality}`);
+    if (differs('palette')) parts.push(`palette=${view.palette}`);
+    if (view.palette === 'custom' && view.paletteStops) {
+      parts.push(`stops=${view.paletteStops.map(({ pos, color }) =>
+        `${Math.round(pos * 1000) / 10}-${color.replace(/^#/, '')}`
+      ).join(',')}`);
+    }
+
+    return parts.join('&');
+  }
+
+  /**
+   * Read the view from the current URL
+   * @returns {Object|null} Complete view (missing fields are defaults), or
+   *   null if the URL has no hash
+   */
+  function read() {
+    const hash = window.location.hash.replace(/^#/, '');
+    if (!hash) return null;
+    return { ...defaults, ...parse(hash) };
+  }
+
+  /**
+   * Get the default view
+   * @returns {Object|null}
+   */
+  function getDefaults() {
+    return defaults ? { ...defaults } : null;
+  }
+
+  /**
+   * Write the view to the URL if it changed
+   * @param {Object} view
+   * @param {Object} [options]
+   * @param {boolean} [options.replace=false] - Update the current history
+   *   entry instead of adding one
+   * @returns {boolean} True if a history entry was added
+   */
+  function write(view, options = {}) {
+    const hash = serialize(view);
+    const current = window.location.hash.replace(/^#/, '');
+    if (hash === current) return false;
+
+    // Neither call fires hashchange, so only back/forward and edited URLs
+    // reach the listener in App. The first write only records the page's
+    // state, so it never adds an entry.
+    if (!current || options.replace) {
+      history.replaceState(null, '', `#${hash}`);
+      return false;
+    }
+
+    history.pushState(null, '', `#${hash}`);
+    return true;
+  }
+
+  // Public API
+  return {
+    init,
+    parse,
+    serialize,
+    read,
+    write,
+    getDefaults
+  };
+})();
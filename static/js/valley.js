@@ -0,0 +1,230 @@
+/**
+ * valley.js - Silent Valley Detection
+ * 關懷地景 The Topography of Care
+ *
+ * Finds the "silent valleys" of the care landscape: connected regions of
+ * the energy field (ContourModule.compute() result.energy) below a threshold.
+ * Each valley gets an outline polygon, area, centroid and, when a
+ * population grid is available, the number of residents inside, so the
+ * side panel can rank where care is most missing.
+ */
+
+const ValleyModule = (() => {
+  // Configuration
+  const CONFIG = {
+    // Cells with energy below this are valley floor
+    // (a hospital peaks at 1.0, so 0.05 is "5% of a hospital")
+    threshold: 0.05,
+
+    // Ignore valleys smaller than this (square meters)
+    minArea: 50000,  // 5 ha
+
+    // Number of valleys returned (largest / most populated first)
+    maxValleys: 10
+  };
+
+  /**
+   * Label connected low-energy regions (4-connected flood fill)
+   * @param {Float32Array} field
+   * @param {number} width
+   * @param {number} height
+   * @param {number} threshold
+   * @returns {{labels: Int32Array, count: number}} labels: 0 = not a valley,
+   *   otherwise 1-based region id
+   */
+  function labelRegions(field, width, height, threshold) {
+    const labels = new Int32Array(field.length);
+    const queue = new Int32Array(field.length);
+    let count = 0;
+
+    for (let start = 0; start < field.length; start++) {
+      if (labels[start] !== 0 || field[start] >= threshold) continue;
+
+      count++;
+      labels[start] = count;
+      let head = 0;
+      let tail = 0;
+      queue[tail++] = start;
+
+      while (head < tail) {
+        const index = queue[head++];
+        const x = index % width;
+        const y = (index - x) / width;
+
+        const neighbors = [
+          x > 0 ? index - 1 : -1,
+          x < width - 1 ? index + 1 : -1,
+          y > 0 ? index - width : -1,
+          y < height - 1 ? index + width : -1
+        ];
+
+        for (const next of neighbors) {
+          if (next >= 0 && labels[next] === 0 && field[next] < threshold) {
+            labels[next] = count;
+            queue[tail++] = next;
+          }
+        }
+      }
+    }
+
+    return { labels, count };
+  }
+
+  /**
+   * Detect silent valleys in an energy field
+   * @param {Float32Array} field - Energy per grid cell
+   * @param {Object} grid - From ContourModule.getGrid(bounds)
+   * @param {Object} bounds - {south, west, north, east}
+   * @param {Object} [options] - {population: Float32Array per cell, threshold}
+   * @returns {Array<Object>} Ranked valleys: {id, rank, area (m²), centroid {lat, lng},
+   *   bbox, population|null, meanEnergy, open (touches the view edge), geometry (GeoJSON MultiPolygon)}
+   */
+  function detect(field, grid, bounds, options = {}) {
+    const { width, height, cellWidth, cellHeight, cellSize } = grid;
+    const threshold = options.threshold ?? CONFIG.threshold;
+    const population = options.population || null;
+    const { labels, count } = labelRegions(field, width, height, threshold);
+
+    // Accumulate statistics per region
+    const regions = Array.from({ length: count }, (_, i) => ({
+      id: i + 1,
+      cells: 0,
+      sumX: 0,
+      sumY: 0,
+      minX: Infinity,
+      maxX: -Infinity,
+      minY: Infinity,
+      maxY: -Infinity,
+      energy: 0,
+      population: 0,
+      open: false
+    }));
+
+    for (let index = 0; index < labels.length; index++) {
+      const label = labels[index];
+      if (label === 0) continue;
+
+      const region = regions[label - 1];
+      const x = index % width;
+      const y = (index - x) / width;
+
+      region.cells++;
+      region.sumX += x;
+      region.sumY += y;
+      region.minX = Math.min(region.minX, x);
+      region.maxX = Math.max(region.maxX, x);
+      region.minY = Math.min(region.minY, y);
+      region.maxY = Math.max(region.maxY, y);
+      region.energy += field[index];
+      if (population) region.population += population[index];
+      if (x === 0 || y === 0 || x === width - 1 || y === height - 1) region.open = true;
+    }
+
+    const cellArea = cellSize * cellSize;
+    const ranked = regions
+      .filter(region => region.cells * cellArea >= CONFIG.minArea)
+      .sort((a, b) => (population ? b.population - a.population : 0) || b.cells - a.cells)
+      .slice(0, CONFIG.maxValleys);
+
+    return ranked.map((region, i) => ({
+      id: region.id,
+      rank: i + 1,
+      area: region.cells * cellArea,
+      centroid: {
+        lat: bounds.south + (region.sumY / region.cells + 0.5) * cellHeight,
+        lng: bounds.west + (region.sumX / region.cells + 0.5) * cellWidth
+      },
+      bbox: {
+        south: bounds.south + region.minY * cellHeight,
+        west: bounds.west + region.minX * cellWidth,
+        north: bounds.south + (region.maxY + 1) * cellHeight,
+        east: bounds.west + (region.maxX + 1) * cellWidth
+      },
+      population: population ? region.population : null,
+      meanEnergy: region.energy / region.cells,
+      open: region.open,
+      geometry: outline(labels, region.id, bounds, grid)
+    }));
+  }
+
+  /**
+   * Trace a region outline as a geographic MultiPolygon
+   * @param {Int32Array} labels
+   * @param {number} id - Region label
+   * @param {Object} bounds
+   * @param {Object} grid
+   * @returns {Object} GeoJSON MultiPolygon
+   */
+  function outline(labels, id, bounds, grid) {
+    const mask = new Float64Array(labels.length);
+    for (let i = 0; i < labels.length; i++) {
+      if (labels[i] === id) mask[i] = 1;
+    }
+
+    const contour = d3.contours()
+      .size([grid.width, grid.height])
+      .contour(mask, 0.5);
+
+    const [geo] = ContourModule.transformToGeo([contour], bounds, grid);
+    return { type: 'MultiPolygon', coordinates: geo.coordinates };
+  }
+
+  /**
+   * Find the valley containing a point, e.g. to follow a selected valley
+   * into the valleys detected after the view moved
+   * @param {Array<Object>} valleys - From detect()
+   * @param {{lat: number, lng: number}} point
+   * @returns {Object|null}
+   */
+  function findAt(valleys, { lat, lng }) {
+    return valleys.find(({ bbox, geometry }) =>
+      lat >= bbox.south && lat <= bbox.north && lng >= bbox.west && lng <= bbox.east &&
+      geometry.coordinates.some(([outer, ...holes]) =>
+        inRing(lng, lat, outer) && !holes.some(hole => inRing(lng, lat, hole))
+      )
+    ) || null;
+  }
+
+  /**
+   * Ray-casting point-in-ring test
+   * @param {number} lng
+   * @param {number} lat
+   * @param {Array} ring - [[lng, lat], ...]
+   * @returns {boolean}
+   */
+  function inRing(lng, lat, ring) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const [xi, yi] = ring[i];
+      const [xj, yj] = ring[j];
+      if ((yi > lat) !== (yj > lat) && lng < (xj - xi) * (lat - yi) / (yj - yi) + xi) {
+        inside = !inside;
+      }
+    }
+    return inside;
+  }
+
+  /**
+   * Update configuration
+   * @param {Object} newConfig
+   */
+  function updateConfig(newConfig) {
+    Object.assign(CONFIG, newConfig);
+  }
+
+  /**
+   * Get configuration
+   */
+  function getConfig() {
+    return { ...CONFIG };
+  }
+
+  // Public API
+  return {
+    detect,
+    findAt,
+    labelRegions,
+    updateConfig,
+    getConfig
+  };
+})();